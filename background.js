@@ -3,26 +3,99 @@
 const ADVERT_FARM_SESSION_URL = 'https://www.swipefile.pro/api/auth/session';
 const ADVERT_FARM_LOGIN_URL = 'https://www.swipefile.pro/'; // Or your specific login page
 const ADVERT_FARM_INSPIRATION_URL = 'https://www.swipefile.pro/saved'; // For redirection
+const ADVERT_FARM_API_ORGANIZATIONS_URL = 'https://www.swipefile.pro/api/organizations'; // Organizations the user belongs to
+const ADVERT_FARM_API_COLLECTIONS_URL = 'https://www.swipefile.pro/api/collections'; // Collections (boards) of an organization
 const ADVERT_FARM_API_SAVE_AD_URL = 'https://www.swipefile.pro/api/save-library-data'; // Your actual save endpoint
-const LOCAL_STORAGE_ORG_KEY = "selectedOrgId";
-const SAVED_ADS_STORAGE_KEY = "savedAdLibraryIds"; // Key for storing saved ad IDs
+const ADVERT_FARM_API_DELETE_AD_URL = 'https://www.swipefile.pro/api/delete-library-data'; // Removes a saved ad
+const ADVERT_FARM_API_SAVED_IDS_URL = 'https://www.swipefile.pro/api/saved-library-ids'; // Library IDs already saved in an organization
+const ADVERT_FARM_SELECTOR_CONFIG_URL = 'https://www.swipefile.pro/api/extension-selectors'; // Selector configs published between releases
+const ORG_ID_STORAGE_KEY = "selectedOrgId"; // Key for the default organization ID kept in chrome.storage.local
+const ORGANIZATIONS_STORAGE_KEY = "organizations"; // Key for the last fetched list of the user's organizations
+const LEGACY_SAVED_ADS_STORAGE_KEY = "savedAdLibraryIds"; // Flat list of saved IDs used before the index was scoped, see migrateLegacySavedAds
+const SAVED_ADS_STORAGE_KEY_PREFIX = "savedAds:"; // Saved IDs are stored per scope under "savedAds:<userId>:<orgId>"
+const SESSION_USER_STORAGE_KEY = "sessionUserId"; // User ID from the last session check, so lookups don't need the network
+const SAVED_INDEX_SYNC_ALARM_NAME = "syncSavedIndex";
+const SAVED_INDEX_SYNC_PERIOD_MINUTES = 30;
+const SAVE_QUEUE_STORAGE_KEY = "pendingSaveQueue"; // Key for saves waiting to be retried
+const SAVE_QUEUE_ALARM_NAME = "retryPendingSaves";
+const SAVE_QUEUE_BASE_DELAY_MS = 30 * 1000; // First retry after 30s, doubling each attempt
+const SAVE_QUEUE_MAX_DELAY_MS = 30 * 60 * 1000;
+const SAVE_QUEUE_MAX_ATTEMPTS = 10; // After this many retries an entry is marked failed
+const TIKTOK_LEGACY_LINKS_STORAGE_KEY = "tiktokLegacyLinks"; // Links TikTok ads were saved by before stable IDs, by stable ID
+const RECENT_SAVES_STORAGE_KEY = "recentSaves"; // Key for the most recent successful saves, shown in the popup
+const RECENT_SAVES_LIMIT = 20;
+const SAVE_HISTORY_STORAGE_KEY = "saveHistory"; // Log of every save, retry and removal with its outcome, shown on the history page
+const SAVE_HISTORY_LIMIT = 5000; // Oldest entries are dropped beyond this
+const RECENT_TAGS_STORAGE_KEY = "recentTags"; // Tags used in recent saves, offered as autocomplete suggestions
+const RECENT_TAGS_LIMIT = 50;
+const DEFAULT_TAGS_STORAGE_KEY = "defaultTags"; // Tags applied to saves made with a plain click
+const WATCHES_STORAGE_KEY = "watches"; // Watched Meta advertisers and searches, with the Library IDs seen for each
+const WATCH_SEEN_IDS_LIMIT = 5000; // Per watch; the oldest seen IDs are dropped beyond this
+const AUTO_SAVE_RULES_STORAGE_KEY = "autoSaveRules"; // Rules from the options page that save or flag matching ads
+const AUTO_SAVE_CAP_STORAGE_KEY = "autoSaveSessionCap"; // Most ads rules may save per browser session
+const AUTO_SAVE_DEFAULT_SESSION_CAP = 20;
+const AUTO_SAVE_COUNT_SESSION_KEY = "autoSaveCount"; // In chrome.storage.session, so it resets with the browser
+const CONTEXT_MENU_SAVE_LINK_ID = "saveAdLink";
+const CONTEXT_MENU_SAVE_PAGE_ID = "saveAdPage";
+// Ad library URLs the context menu is offered on; parseAdLibraryUrl does the exact matching.
+const AD_LIBRARY_URL_PATTERNS = [
+    "*://*.facebook.com/ads/library/*",
+    "*://ads.tiktok.com/business/creativecenter/*",
+    "*://library.tiktok.com/ads/detail/*",
+    "*://adstransparency.google.com/advertiser/*",
+    "*://*.linkedin.com/ad-library/detail/*"
+];
+const SELECTOR_CONFIG_STORAGE_KEY = "selectorConfig"; // The newest valid selector config fetched from the server
+const SELECTOR_CONFIG_ALARM_NAME = "refreshSelectorConfig";
+const SELECTOR_CONFIG_REFRESH_MINUTES = 6 * 60;
+const SAVE_MIN_INTERVAL_MS = 1500; // Minimum gap between save API calls, so bulk saves don't hammer the server
+const ARCHIVE_SETTING_STORAGE_KEY = "archiveCreatives"; // Whether saves also keep a local copy of the ad's media
+const ARCHIVE_DB_NAME = "adSaverArchive"; // IndexedDB database holding archived creatives
+const ARCHIVE_DB_VERSION = 2;
+const ARCHIVE_STORE_NAME = "creatives"; // One record per ad, keyed by libraryId
+const ARCHIVE_SUMMARY_STORE_NAME = "summaries"; // The same records without the file contents, for listing and counting
+const ARCHIVE_MAX_FILE_BYTES = 100 * 1024 * 1024; // Larger files are skipped rather than filling the disk
 
 /**
- * Adds a libraryId to the saved ads list in chrome.storage.local
+ * Returns the storage key of the saved ads index for a user and organization.
+ * @param {string} userId - The Swipe File user ID.
+ * @param {string} organizationId - The organization ID.
+ * @returns {string}
+ */
+function getSavedIndexKey(userId, organizationId) {
+    return `${SAVED_ADS_STORAGE_KEY_PREFIX}${userId}:${organizationId}`;
+}
+
+/**
+ * Returns the storage key of the saved ads index for the current user and default organization.
+ * @returns {Promise<string|null>} The key, or null while the user or organization is unknown.
+ */
+async function getCurrentSavedIndexKey() {
+    const result = await chrome.storage.local.get([SESSION_USER_STORAGE_KEY, ORG_ID_STORAGE_KEY]);
+    const userId = result[SESSION_USER_STORAGE_KEY];
+    const organizationId = result[ORG_ID_STORAGE_KEY];
+    return userId && organizationId ? getSavedIndexKey(userId, organizationId) : null;
+}
+
+/**
+ * Adds a libraryId to the saved ads index of the user and organization it was saved for
  * @param {string} libraryId - The library ID of the saved ad
+ * @param {string} userId - The Swipe File user ID
+ * @param {string} organizationId - The organization the ad was saved to
  * @returns {Promise<void>}
  */
-async function markAdAsSaved(libraryId) {
+async function markAdAsSaved(libraryId, userId, organizationId) {
     try {
+        const indexKey = getSavedIndexKey(userId, organizationId);
         // Get current saved ads
-        const result = await chrome.storage.local.get(SAVED_ADS_STORAGE_KEY);
-        let savedAds = result[SAVED_ADS_STORAGE_KEY] || [];
+        const result = await chrome.storage.local.get(indexKey);
+        let savedAds = result[indexKey] || [];
         
         // Don't add duplicates
         if (!savedAds.includes(libraryId)) {
             savedAds.push(libraryId);
-            await chrome.storage.local.set({ [SAVED_ADS_STORAGE_KEY]: savedAds });
-            console.log(`[Ad Saver Background] Added libraryId ${libraryId} to saved ads list.`);
+            await chrome.storage.local.set({ [indexKey]: savedAds });
+            console.log(`[Ad Saver Background] Added libraryId ${libraryId} to saved ads list ${indexKey}.`);
         }
     } catch (error) {
         console.error('[Ad Saver Background] Error saving ad to storage:', error);
@@ -30,21 +103,565 @@ async function markAdAsSaved(libraryId) {
 }
 
 /**
- * Checks if an ad is already saved
- * @param {string} libraryId - The library ID to check
- * @returns {Promise<boolean>} - True if already saved
+ * Removes a libraryId from the saved ads index of a user and organization
+ * @param {string} libraryId - The library ID of the removed ad
+ * @param {string} userId - The Swipe File user ID
+ * @param {string} organizationId - The organization the ad was removed from
+ * @returns {Promise<void>}
  */
-async function isAdSaved(libraryId) {
+async function unmarkAdAsSaved(libraryId, userId, organizationId) {
     try {
-        const result = await chrome.storage.local.get(SAVED_ADS_STORAGE_KEY);
-        const savedAds = result[SAVED_ADS_STORAGE_KEY] || [];
-        return savedAds.includes(libraryId);
+        const indexKey = getSavedIndexKey(userId, organizationId);
+        const result = await chrome.storage.local.get(indexKey);
+        const savedAds = result[indexKey] || [];
+        if (savedAds.includes(libraryId)) {
+            await chrome.storage.local.set({ [indexKey]: savedAds.filter(id => id !== libraryId) });
+            console.log(`[Ad Saver Background] Removed libraryId ${libraryId} from saved ads list ${indexKey}.`);
+        }
     } catch (error) {
-        console.error('[Ad Saver Background] Error checking if ad is saved:', error);
-        return false;
+        console.error('[Ad Saver Background] Error removing ad from storage:', error);
+    }
+}
+
+// In-memory copy of the current saved ads index as a Set, so lookups don't read storage each time.
+// Built on first use after the worker wakes and dropped whenever the index or its scope changes in storage.
+let savedIndexCache = null;
+
+/**
+ * Returns the saved library IDs of the current user and default organization.
+ * @returns {Promise<Set<string>>} The IDs; while the user or organization is unknown, the flat list
+ *     from older versions if it's still kept, otherwise none.
+ */
+function getCurrentSavedIdSet() {
+    if (!savedIndexCache) {
+        savedIndexCache = (async () => {
+            const indexKey = await getCurrentSavedIndexKey() || LEGACY_SAVED_ADS_STORAGE_KEY;
+            const result = await chrome.storage.local.get(indexKey);
+            return new Set(result[indexKey] || []);
+        })().catch((error) => {
+            console.error('[Ad Saver Background] Error loading saved ads index:', error);
+            savedIndexCache = null;
+            return new Set();
+        });
+    }
+    return savedIndexCache;
+}
+
+/**
+ * Checks which of several ads are already saved for the current user and default organization, or waiting in the save queue
+ * @param {Array<string>} libraryIds - The library IDs to check
+ * @returns {Promise<Object<string, {isSaved: boolean, isQueued: boolean}>>} - Save status by library ID
+ */
+async function getAdSaveStatuses(libraryIds) {
+    const [savedIds, queue] = await Promise.all([getCurrentSavedIdSet(), getSaveQueue()]);
+    const queuedIds = new Set(queue
+        .filter(entry => entry.status === 'pending')
+        .map(entry => entry.adData.libraryId));
+
+    const statuses = {};
+    for (const libraryId of libraryIds) {
+        statuses[libraryId] = { isSaved: savedIds.has(libraryId), isQueued: queuedIds.has(libraryId) };
+    }
+    return statuses;
+}
+
+/**
+ * Returns the stable ID of a TikTok creative stored by the link it was saved from, as older versions did.
+ * @param {string} libraryId - A stored library ID.
+ * @returns {string} The stable ID, or the ID unchanged if it isn't a TikTok link.
+ */
+function normalizeTiktokLibraryId(libraryId) {
+    if (typeof libraryId !== 'string' || !/^https?:/.test(libraryId)) return libraryId;
+    const creative = parseTiktokCreativeUrl(libraryId);
+    return creative ? creative.libraryId : libraryId;
+}
+
+/**
+ * Remembers the links TikTok ads were saved by before they got stable IDs (see normalizeTiktokLibraryId),
+ * since the server still knows them by that link when they're removed.
+ * @param {Array<string>} libraryIds - Stored or server library IDs, some of them links.
+ * @returns {Promise<void>}
+ */
+async function rememberTiktokLegacyLinks(libraryIds) {
+    const legacyLinks = {};
+    for (const libraryId of libraryIds) {
+        const stableId = normalizeTiktokLibraryId(libraryId);
+        if (stableId !== libraryId) {
+            legacyLinks[stableId] = libraryId;
+        }
+    }
+    if (Object.keys(legacyLinks).length === 0) return;
+    const result = await chrome.storage.local.get(TIKTOK_LEGACY_LINKS_STORAGE_KEY);
+    await chrome.storage.local.set({
+        [TIKTOK_LEGACY_LINKS_STORAGE_KEY]: { ...result[TIKTOK_LEGACY_LINKS_STORAGE_KEY], ...legacyLinks }
+    });
+}
+
+// The migrations after an update (see migrateFromPreviousVersion). Syncs of the saved index wait for them,
+// so neither overwrites the other.
+let upgradeMigration = Promise.resolve();
+
+/**
+ * Rewrites TikTok ads stored by their link to their stable creative ID (see parseTiktokCreativeUrl):
+ * in every saved index, the save queue, recent saves, the save history and the archive.
+ * Links that aren't creatives are left alone. Runs when the extension is updated.
+ * @returns {Promise<void>}
+ */
+async function migrateTiktokLibraryIds() {
+    try {
+        await loadSelectorPatterns();
+        const migrateAdData = (adData) => {
+            const creative = /^https?:/.test(adData.libraryId) && parseTiktokCreativeUrl(adData.libraryId);
+            return creative ? { ...adData, ...creative } : adData;
+        };
+
+        const storage = await chrome.storage.local.get(null);
+        const updates = {};
+        for (const [key, value] of Object.entries(storage)) {
+            if (key.startsWith(SAVED_ADS_STORAGE_KEY_PREFIX) && Array.isArray(value)) {
+                await rememberTiktokLegacyLinks(value);
+                const savedAds = [...new Set(value.map(normalizeTiktokLibraryId))];
+                if (savedAds.some((libraryId, index) => libraryId !== value[index])) {
+                    updates[key] = savedAds;
+                }
+            }
+        }
+        const recentSaves = storage[RECENT_SAVES_STORAGE_KEY];
+        if (recentSaves && recentSaves.some(save => normalizeTiktokLibraryId(save.libraryId) !== save.libraryId)) {
+            updates[RECENT_SAVES_STORAGE_KEY] = recentSaves.map((save) => {
+                const creative = parseTiktokCreativeUrl(save.libraryId);
+                return creative ? { ...save, libraryId: creative.libraryId, sourceUrl: creative.creativeLink } : save;
+            });
+        }
+        if (Object.keys(updates).length > 0) {
+            await chrome.storage.local.set(updates);
+        }
+
+        await updateSaveQueue(queue => queue.map(entry => ({ ...entry, adData: migrateAdData(entry.adData) })));
+
+        const historyRun = saveHistoryLock.then(async () => {
+            const result = await chrome.storage.local.get(SAVE_HISTORY_STORAGE_KEY);
+            const history = result[SAVE_HISTORY_STORAGE_KEY] || [];
+            if (history.some(entry => normalizeTiktokLibraryId(entry.libraryId) !== entry.libraryId)) {
+                await chrome.storage.local.set({
+                    [SAVE_HISTORY_STORAGE_KEY]: history.map(entry => ({ ...entry, libraryId: normalizeTiktokLibraryId(entry.libraryId) }))
+                });
+            }
+        });
+        saveHistoryLock = historyRun.catch(() => {});
+        await historyRun;
+
+        // Only the keys are listed; each record, with its files, is moved in a transaction of its own
+        const archivedIds = await runArchiveRequest('readonly', (store, summaryStore) => summaryStore.getAllKeys());
+        for (const archivedId of archivedIds) {
+            const libraryId = normalizeTiktokLibraryId(archivedId);
+            if (libraryId === archivedId) continue;
+            await runArchiveRequest('readwrite', (...stores) => {
+                for (const store of stores) {
+                    const request = store.get(archivedId);
+                    request.onsuccess = () => {
+                        if (!request.result) return;
+                        store.put({ ...request.result, libraryId });
+                        store.delete(archivedId);
+                    };
+                }
+            });
+        }
+        console.log('[Ad Saver Background] Migrated TikTok ads to stable creative IDs.');
+    } catch (error) {
+        console.error('[Ad Saver Background] Error migrating TikTok library IDs:', error);
+    }
+}
+
+/**
+ * Moves the flat saved ads list of older versions into the index of the user and organization signed in
+ * at the update. The list doesn't say whose ads it holds, so it's never merged into a scope seen later;
+ * if nobody is signed in now, it's shown until the first sync and then dropped (see syncSavedIndex).
+ * @returns {Promise<void>}
+ */
+async function migrateLegacySavedAds() {
+    try {
+        const indexKey = await getCurrentSavedIndexKey();
+        if (!indexKey) return;
+        const result = await chrome.storage.local.get([LEGACY_SAVED_ADS_STORAGE_KEY, indexKey]);
+        const legacySavedAds = result[LEGACY_SAVED_ADS_STORAGE_KEY];
+        if (!legacySavedAds) return;
+
+        const savedAds = [...new Set([...(result[indexKey] || []), ...legacySavedAds])];
+        await chrome.storage.local.set({ [indexKey]: savedAds });
+        await chrome.storage.local.remove(LEGACY_SAVED_ADS_STORAGE_KEY);
+        console.log(`[Ad Saver Background] Migrated ${legacySavedAds.length} saved ads into ${indexKey}.`);
+    } catch (error) {
+        console.error('[Ad Saver Background] Error migrating saved ads:', error);
+    }
+}
+
+/**
+ * Fetches the library IDs already saved in an organization, including ads saved from the web app or other machines.
+ * @param {string} organizationId - The organization ID.
+ * @returns {Promise<Array<string>|null>} The IDs, or null if the request failed.
+ */
+async function fetchSavedLibraryIds(organizationId) {
+    try {
+        const url = `${ADVERT_FARM_API_SAVED_IDS_URL}?organizationId=${encodeURIComponent(organizationId)}`;
+        const response = await fetch(url, {
+            method: 'GET',
+            credentials: 'include',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        if (!response.ok) {
+            throw new Error(`API Error: ${response.status} ${response.statusText}`);
+        }
+        const responseData = await response.json();
+        return Array.isArray(responseData) ? responseData : responseData.libraryIds || [];
+    } catch (error) {
+        console.error('[Ad Saver Background] Error fetching saved library IDs:', error);
+        return null;
+    }
+}
+
+/**
+ * Brings the saved ads index of the current user and organization in line with the server.
+ * The server list replaces the local one, so ads removed in the web app stop showing as saved.
+ * @returns {Promise<void>}
+ */
+async function syncSavedIndex() {
+    try {
+        await upgradeMigration;
+        const indexKey = await getCurrentSavedIndexKey();
+        if (!indexKey) return;
+
+        const { [ORG_ID_STORAGE_KEY]: organizationId } = await chrome.storage.local.get(ORG_ID_STORAGE_KEY);
+        const serverLibraryIds = await fetchSavedLibraryIds(organizationId);
+        if (serverLibraryIds) {
+            await loadSelectorPatterns();
+            // The server knows TikTok ads saved by older versions by their link
+            await rememberTiktokLegacyLinks(serverLibraryIds);
+            const libraryIds = [...new Set(serverLibraryIds.map(normalizeTiktokLibraryId))];
+            await chrome.storage.local.set({ [indexKey]: libraryIds });
+            console.log(`[Ad Saver Background] Synced ${libraryIds.length} saved ads into ${indexKey}.`);
+            // Not migrated at the update (nobody was signed in): the server has seeded a scope, so it's no longer needed
+            await chrome.storage.local.remove(LEGACY_SAVED_ADS_STORAGE_KEY);
+        }
+    } catch (error) {
+        console.error('[Ad Saver Background] Error syncing saved ads index:', error);
+    }
+}
+
+/**
+ * Remembers which user is logged in, and re-syncs the saved index when that changes.
+ * @param {string|null} userId - The user ID from the session, or null when logged out.
+ * @returns {Promise<void>}
+ */
+async function rememberSessionUser(userId) {
+    try {
+        const result = await chrome.storage.local.get(SESSION_USER_STORAGE_KEY);
+        if ((result[SESSION_USER_STORAGE_KEY] || null) === userId) return;
+
+        if (userId) {
+            await chrome.storage.local.set({ [SESSION_USER_STORAGE_KEY]: userId });
+            syncSavedIndex();
+        } else {
+            await chrome.storage.local.remove(SESSION_USER_STORAGE_KEY);
+        }
+    } catch (error) {
+        console.error('[Ad Saver Background] Error storing session user:', error);
+    }
+}
+
+let bundledSelectorConfig = null;
+
+/**
+ * Reads the selector config shipped with the extension (selectors.json).
+ * @returns {Promise<object>}
+ */
+function getBundledSelectorConfig() {
+    if (!bundledSelectorConfig) {
+        bundledSelectorConfig = fetch(chrome.runtime.getURL('selectors.json')).then(response => response.json()).catch((error) => {
+            bundledSelectorConfig = null;
+            throw error;
+        });
+    }
+    return bundledSelectorConfig;
+}
+
+/**
+ * Checks that a fetched selector config has the bundled config's schema: the same `schemaVersion`, an integer
+ * `version`, and for each platform it sets, strings where the bundled config has selectors, lists of strings
+ * where it has labels and valid regular expressions where it has patterns, with as many capture groups as the
+ * bundled ones since IDs are read from them. Platforms and keys it leaves out fall back to the bundled ones.
+ * @param {*} config - The fetched config.
+ * @param {object} bundledConfig - The bundled config.
+ * @returns {boolean}
+ */
+function isValidSelectorConfig(config, bundledConfig) {
+    if (!config || config.schemaVersion !== bundledConfig.schemaVersion || !Number.isInteger(config.version)) return false;
+    if (!config.platforms || typeof config.platforms !== 'object') return false;
+    const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+    return Object.entries(config.platforms).every(([platform, selectors]) => {
+        const bundledSelectors = bundledConfig.platforms[platform];
+        if (!bundledSelectors || !selectors || typeof selectors !== 'object') return false;
+        return Object.entries(selectors).every(([key, value]) => {
+            if (key === 'labels') {
+                return value && typeof value === 'object' &&
+                    Object.entries(value).every(([labelKey, labels]) => labelKey in bundledSelectors.labels &&
+                        // Month names are a list of names per month
+                        (labelKey === 'months' ? Array.isArray(labels) && labels.length === 12 && labels.every(isStringList) : isStringList(labels)));
+            }
+            if (key === 'patterns') {
+                return value && typeof value === 'object' &&
+                    Object.entries(value).every(([patternKey, pattern]) => patternKey in bundledSelectors.patterns &&
+                        typeof pattern === 'string' && countCaptureGroups(pattern) === countCaptureGroups(bundledSelectors.patterns[patternKey]));
+            }
+            return typeof bundledSelectors[key] === 'string' && typeof value === 'string' && value.trim() !== '';
+        });
+    });
+}
+
+/**
+ * Counts the capture groups of a regular expression.
+ * @param {string} pattern
+ * @returns {number} The count, or -1 if the string doesn't compile.
+ */
+function countCaptureGroups(pattern) {
+    try {
+        // The added empty alternative always matches, leaving one slot per group next to the whole match
+        return new RegExp(pattern + '|').exec('').length - 1;
+    } catch (error) {
+        return -1;
+    }
+}
+
+/**
+ * Returns the selector config content scripts should use: the fetched one laid over the bundled one
+ * when it's newer, otherwise the bundled one.
+ * @returns {Promise<{config: object, bundledConfig: object, source: 'bundled'|'remote'}>}
+ */
+async function getSelectorConfig() {
+    const bundledConfig = await getBundledSelectorConfig();
+    const result = await chrome.storage.local.get(SELECTOR_CONFIG_STORAGE_KEY);
+    const remoteConfig = result[SELECTOR_CONFIG_STORAGE_KEY];
+    // An extension update can bring a bundled config newer than (or incompatible with) the stored one
+    if (!isValidSelectorConfig(remoteConfig, bundledConfig) || remoteConfig.version <= bundledConfig.version) {
+        return { config: bundledConfig, bundledConfig, source: 'bundled' };
+    }
+
+    const platforms = {};
+    for (const [platform, bundledSelectors] of Object.entries(bundledConfig.platforms)) {
+        const remoteSelectors = remoteConfig.platforms[platform] || {};
+        platforms[platform] = { ...bundledSelectors, ...remoteSelectors };
+        if (bundledSelectors.labels) {
+            platforms[platform].labels = { ...bundledSelectors.labels, ...remoteSelectors.labels };
+        }
+        if (bundledSelectors.patterns) {
+            platforms[platform].patterns = { ...bundledSelectors.patterns, ...remoteSelectors.patterns };
+        }
+    }
+    return { config: { ...remoteConfig, platforms }, bundledConfig, source: 'remote' };
+}
+
+// The URL patterns of the selector config, compiled, by platform; see loadSelectorPatterns.
+let selectorPatterns = null;
+
+/**
+ * Compiles the URL patterns of the current selector config for the URL parsers below.
+ * Run before parsing, so they use the newest config.
+ * @returns {Promise<void>}
+ */
+async function loadSelectorPatterns() {
+    const { config } = await getSelectorConfig();
+    selectorPatterns = {};
+    for (const [platform, selectors] of Object.entries(config.platforms)) {
+        selectorPatterns[platform] = {};
+        for (const [key, pattern] of Object.entries(selectors.patterns || {})) {
+            selectorPatterns[platform][key] = new RegExp(pattern); // Checked by isValidSelectorConfig
+        }
+    }
+}
+
+/**
+ * Fetches the latest selector config and keeps it if it's valid and newer than what we have.
+ * @returns {Promise<void>}
+ */
+async function refreshSelectorConfig() {
+    try {
+        const response = await fetch(ADVERT_FARM_SELECTOR_CONFIG_URL, {
+            method: 'GET',
+            credentials: 'omit',
+            cache: 'no-cache',
+            headers: {
+                'Accept': 'application/json'
+            }
+        });
+        if (!response.ok) {
+            throw new Error(`API Error: ${response.status} ${response.statusText}`);
+        }
+        const config = await response.json();
+        const bundledConfig = await getBundledSelectorConfig();
+        if (!isValidSelectorConfig(config, bundledConfig)) {
+            console.warn('[Ad Saver Background] Ignoring invalid selector config:', config);
+            return;
+        }
+
+        const result = await chrome.storage.local.get(SELECTOR_CONFIG_STORAGE_KEY);
+        const storedConfig = result[SELECTOR_CONFIG_STORAGE_KEY];
+        if (storedConfig && storedConfig.version >= config.version) return;
+        await chrome.storage.local.set({ [SELECTOR_CONFIG_STORAGE_KEY]: config });
+        console.log(`[Ad Saver Background] Updated selector config to version ${config.version}.`);
+    } catch (error) {
+        console.error('[Ad Saver Background] Error refreshing selector config:', error);
+    }
+}
+
+/**
+ * Works out which TikTok creative a link points to. Creatives are stored by a stable ID rather than the link
+ * they were found through, which differs between surfaces and carries tracking and filter parameters.
+ * Must match parseTiktokCreativeUrl in content.js. Needs loadSelectorPatterns to have run.
+ * @param {string} url - An absolute URL.
+ * @returns {{libraryId: string, creativeId: string, creativeLink: string, creativeSource: string}|null}
+ *   The creative, or null if the link is not a creative.
+ */
+function parseTiktokCreativeUrl(url) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        return null;
+    }
+    const { hostname, pathname, searchParams } = parsedUrl;
+
+    if (hostname === 'ads.tiktok.com') {
+        const match = pathname.match(selectorPatterns.tiktok.creativePath);
+        if (!match) return null;
+        return {
+            libraryId: `tiktok:${match[1]}`,
+            creativeId: match[1],
+            creativeLink: `https://ads.tiktok.com/business/creativecenter/topads/${match[1]}/pc/en`,
+            creativeSource: 'creative_center'
+        };
+    }
+    if (hostname === 'library.tiktok.com') {
+        const adId = searchParams.get('ad_id');
+        if (!adId || !/^\d+$/.test(adId)) return null;
+        return {
+            libraryId: `tiktok-ad:${adId}`,
+            creativeId: adId,
+            creativeLink: `https://library.tiktok.com/ads/detail/?ad_id=${adId}`,
+            creativeSource: 'ad_library'
+        };
+    }
+    return null;
+}
+
+/**
+ * Returns the page on the source ad library where a saved ad can be viewed.
+ * @param {object} adData - The data sent by the content script.
+ * @returns {string|null} The URL, or null if the library is unknown.
+ */
+function getAdSourceUrl(adData) {
+    switch (adData.library) {
+        case 'meta':
+            return `https://www.facebook.com/ads/library/?id=${encodeURIComponent(adData.libraryId)}`;
+        case 'tiktok':
+            return adData.creativeLink;
+        case 'google':
+            return `https://adstransparency.google.com/advertiser/${adData.advertiserId}/creative/${adData.creativeId}`;
+        case 'linkedin':
+            return `https://www.linkedin.com/ad-library/detail/${encodeURIComponent(adData.libraryId)}`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Records a successful save at the top of the recent saves list.
+ * @param {object} adData - The data sent by the content script.
+ * @param {string} organizationId - The organization the ad was saved to.
+ * @returns {Promise<void>}
+ */
+async function addRecentSave(adData, organizationId) {
+    try {
+        const result = await chrome.storage.local.get(RECENT_SAVES_STORAGE_KEY);
+        const recentSaves = (result[RECENT_SAVES_STORAGE_KEY] || [])
+            .filter(save => save.libraryId !== adData.libraryId);
+        recentSaves.unshift({
+            libraryId: adData.libraryId,
+            library: adData.library,
+            sourceUrl: getAdSourceUrl(adData),
+            organizationId,
+            savedAt: Date.now()
+        });
+        await chrome.storage.local.set({ [RECENT_SAVES_STORAGE_KEY]: recentSaves.slice(0, RECENT_SAVES_LIMIT) });
+    } catch (error) {
+        console.error('[Ad Saver Background] Error recording recent save:', error);
+    }
+}
+
+/**
+ * Drops an ad from the recent saves list after it was removed.
+ * @param {string} libraryId - The library ID of the removed ad.
+ * @returns {Promise<void>}
+ */
+async function removeRecentSave(libraryId) {
+    try {
+        const result = await chrome.storage.local.get(RECENT_SAVES_STORAGE_KEY);
+        const recentSaves = (result[RECENT_SAVES_STORAGE_KEY] || []).filter(save => save.libraryId !== libraryId);
+        await chrome.storage.local.set({ [RECENT_SAVES_STORAGE_KEY]: recentSaves });
+    } catch (error) {
+        console.error('[Ad Saver Background] Error updating recent saves:', error);
     }
 }
 
+// Writes to the save history run one after another, so concurrent saves don't drop each other's entries.
+let saveHistoryLock = Promise.resolve();
+
+/**
+ * Appends an entry to the save history.
+ * @param {'save'|'retry'|'remove'} action - A save by the user, a retry from the queue, or a removal.
+ * @param {object} adData - The ad's save data.
+ * @param {object} result - The outcome; `success`, `queued`, `message` and `organizationId` are recorded.
+ * @param {number} [attempt] - For retries, which attempt this was.
+ * @returns {Promise<void>}
+ */
+function recordSaveHistory(action, adData, result, attempt) {
+    const run = saveHistoryLock.then(async () => {
+        const { [ORG_ID_STORAGE_KEY]: selectedOrgId } = await chrome.storage.local.get(ORG_ID_STORAGE_KEY);
+        const organizationId = result.organizationId || adData.organizationId || selectedOrgId || null;
+        const organization = (await getCachedOrganizations()).find(org => org.id === organizationId);
+        let outcome = 'failure';
+        if (result.success) {
+            outcome = 'success';
+        } else if (result.queued) {
+            outcome = 'queued';
+        }
+
+        const storageResult = await chrome.storage.local.get(SAVE_HISTORY_STORAGE_KEY);
+        const history = storageResult[SAVE_HISTORY_STORAGE_KEY] || [];
+        history.push({
+            timestamp: Date.now(),
+            action,
+            outcome,
+            libraryId: adData.libraryId,
+            library: adData.library,
+            sourceUrl: getAdSourceUrl(adData),
+            advertiserName: (adData.metadata && adData.metadata.advertiserName) || adData.advertiserName || null,
+            organizationId,
+            organizationName: organization ? organization.name : null,
+            tags: adData.tags || [],
+            attempt: attempt || null,
+            message: result.success ? null : result.message || null
+        });
+        await chrome.storage.local.set({ [SAVE_HISTORY_STORAGE_KEY]: history.slice(-SAVE_HISTORY_LIMIT) });
+    }).catch((error) => {
+        console.error('[Ad Saver Background] Error recording save history:', error);
+    });
+    saveHistoryLock = run;
+    return run;
+}
+
 /**
  * Checks if the user has an active session on Swipe File.
  * @returns {Promise<object|null>} The session data object if active, or null if not or on error.
@@ -53,6 +670,7 @@ async function checkSwipeFileSession() {
     try {
         const response = await fetch(ADVERT_FARM_SESSION_URL, {
             method: 'GET',
+            credentials: 'include', // Send the swipefile.pro session cookie
             headers: {
                 'Accept': 'application/json'
             }
@@ -70,9 +688,11 @@ async function checkSwipeFileSession() {
         
         if (isActive) {
             console.log('[Ad Saver] Session active. Data:', sessionData);
+            await rememberSessionUser(sessionData.user.id);
             return sessionData; // Return the whole session data object
         } else {
             console.log('[Ad Saver] Session not active or no user data.');
+            await rememberSessionUser(null);
             return null;
         }
     } catch (error) {
@@ -82,155 +702,1308 @@ async function checkSwipeFileSession() {
 }
 
 /**
- * Attempts to get an item from localStorage of an swipefile.pro tab.
- * @returns {Promise<string|null>} The organization ID or null if not found/error.
+ * Fetches the organizations the logged-in user belongs to and caches them in chrome.storage.local.
+ * @returns {Promise<Array<{id: string, name: string}>>} The organizations; the cached list if the request fails.
  */
-async function getOrgIdFromSwipeFileTab() {
+async function fetchOrganizations() {
     try {
-        const tabs = await chrome.tabs.query({ url: "https://www.swipefile.pro/*" });
-        if (tabs && tabs.length > 0) {
-            // Try to find an active tab first, or just take the first one
-            const targetTab = tabs.find(t => t.active) || tabs[0];
-            if (targetTab && targetTab.id) {
-                const results = await chrome.scripting.executeScript({
-                    target: { tabId: targetTab.id },
-                    func: (key) => localStorage.getItem(key),
-                    args: [LOCAL_STORAGE_ORG_KEY]
-                });
-                if (results && results.length > 0 && results[0].result) {
-                    console.log('[Ad Saver] Retrieved Org ID from swipefile.pro tab:', results[0].result);
-                    return results[0].result;
-                }
-                console.warn('[Ad Saver] Org ID not found in localStorage of swipefile.pro tab or script execution failed.');
+        const response = await fetch(ADVERT_FARM_API_ORGANIZATIONS_URL, {
+            method: 'GET',
+            credentials: 'include',
+            headers: {
+                'Accept': 'application/json'
             }
-        } else {
-            console.warn('[Ad Saver] No active swipefile.pro tab found to retrieve Org ID.');
+        });
+        if (!response.ok) {
+            throw new Error(`API Error: ${response.status} ${response.statusText}`);
+        }
+        const responseData = await response.json();
+        const organizations = (Array.isArray(responseData) ? responseData : responseData.organizations || [])
+            .map(org => ({ id: org.id, name: org.name || org.id }));
+        await chrome.storage.local.set({ [ORGANIZATIONS_STORAGE_KEY]: organizations });
+        return organizations;
+    } catch (error) {
+        console.error('[Ad Saver Background] Error fetching organizations:', error);
+        return getCachedOrganizations();
+    }
+}
+
+/**
+ * Returns the organizations from the last successful fetchOrganizations call.
+ * @returns {Promise<Array<{id: string, name: string}>>}
+ */
+async function getCachedOrganizations() {
+    try {
+        const result = await chrome.storage.local.get(ORGANIZATIONS_STORAGE_KEY);
+        return result[ORGANIZATIONS_STORAGE_KEY] || [];
+    } catch (error) {
+        console.error('[Ad Saver Background] Error reading organizations from storage:', error);
+        return [];
+    }
+}
+
+/**
+ * Returns the default organization saves go to, as chosen in the extension.
+ * When nothing is chosen yet and the user belongs to a single organization, that one is picked automatically.
+ * @returns {Promise<string|null>} The organization ID or null if the user still has to choose.
+ */
+async function getSelectedOrgId() {
+    try {
+        const result = await chrome.storage.local.get(ORG_ID_STORAGE_KEY);
+        if (result[ORG_ID_STORAGE_KEY]) {
+            return result[ORG_ID_STORAGE_KEY];
         }
     } catch (error) {
-        console.error('[Ad Saver] Error executing script on swipefile.pro tab:', error);
+        console.error('[Ad Saver Background] Error reading organization ID from storage:', error);
+    }
+
+    const organizations = await fetchOrganizations();
+    if (organizations.length === 1) {
+        await setSelectedOrgId(organizations[0].id);
+        return organizations[0].id;
     }
     return null;
 }
 
-// Function to be injected into the swipefile.pro tab to make the API call
-async function saveAdInPageContext(apiUrl, payload) {
-    // This function runs in the context of the swipefile.pro page
+/**
+ * Fetches the collections (boards) of an organization.
+ * @param {string} organizationId - The organization ID.
+ * @returns {Promise<Array<{id: string, name: string}>>} The collections, or an empty list on error.
+ */
+async function fetchCollections(organizationId) {
     try {
-        const response = await fetch(apiUrl, {
-            method: 'POST',
+        const url = `${ADVERT_FARM_API_COLLECTIONS_URL}?organizationId=${encodeURIComponent(organizationId)}`;
+        const response = await fetch(url, {
+            method: 'GET',
+            credentials: 'include',
             headers: {
-                'Content-Type': 'application/json',
-                // Cookies are automatically sent because this is a same-origin request
-            },
-            body: JSON.stringify(payload)
+                'Accept': 'application/json'
+            }
         });
-        const responseData = await response.json(); // Try to parse JSON regardless of ok status for error messages
         if (!response.ok) {
-            // Throw an error that includes the message from the backend if available
-            throw new Error(responseData.message || `API Error: ${response.status} ${response.statusText}`);
+            throw new Error(`API Error: ${response.status} ${response.statusText}`);
         }
-        return { success: true, data: responseData, message: responseData.message || "Ad saved successfully from page context." };
+        const responseData = await response.json();
+        return (Array.isArray(responseData) ? responseData : responseData.collections || [])
+            .map(collection => ({ id: collection.id, name: collection.name || collection.id }));
     } catch (error) {
-        console.error('Error within saveAdInPageContext (injected script):', error);
-        // Ensure the error object sent back is structured and serializable
-        return { success: false, message: error.message || 'Failed to save ad in page context.' };
+        console.error('[Ad Saver Background] Error fetching collections:', error);
+        return [];
     }
 }
 
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    if (request.action === "checkAuth") {
-        checkSwipeFileSession().then(sessionData => {
-            sendResponse({ sessionData }); 
-        });
-        return true;
+/**
+ * Returns the recently used tags and the default tags.
+ * @returns {Promise<{recentTags: Array<string>, defaultTags: Array<string>}>}
+ */
+async function getTagSettings() {
+    try {
+        const result = await chrome.storage.local.get([RECENT_TAGS_STORAGE_KEY, DEFAULT_TAGS_STORAGE_KEY]);
+        return {
+            recentTags: result[RECENT_TAGS_STORAGE_KEY] || [],
+            defaultTags: result[DEFAULT_TAGS_STORAGE_KEY] || []
+        };
+    } catch (error) {
+        console.error('[Ad Saver Background] Error reading tags from storage:', error);
+        return { recentTags: [], defaultTags: [] };
     }
+}
 
-    if (request.action === "checkAdSaved") {
-        const { libraryId } = request.data;
-        isAdSaved(libraryId).then(isSaved => {
-            sendResponse({ isSaved });
-        });
-        return true;
+/**
+ * Moves tags to the front of the recently used tags.
+ * @param {Array<string>} tags - The tags used in a save.
+ * @returns {Promise<void>}
+ */
+async function addRecentTags(tags) {
+    if (!tags || tags.length === 0) return;
+    try {
+        const { recentTags } = await getTagSettings();
+        const updatedTags = [...tags, ...recentTags.filter(tag => !tags.includes(tag))].slice(0, RECENT_TAGS_LIMIT);
+        await chrome.storage.local.set({ [RECENT_TAGS_STORAGE_KEY]: updatedTags });
+    } catch (error) {
+        console.error('[Ad Saver Background] Error storing recent tags:', error);
     }
+}
 
-    if (request.action === "saveAdViaSwipeFileTab") {
-        (async () => {
-            const { libraryId, isTiktok } = request.data;
+// The archive database connection, opened on first use.
+let archiveDatabase = null;
 
-            const sessionData = await checkSwipeFileSession();
-            if (!sessionData || !sessionData.user) {
-                sendResponse({ success: false, message: "User not authenticated.", redirectToLogin: true });
-                return;
-            }
-            const userId = sessionData.user.id;
+/**
+ * Opens the IndexedDB database that archived creatives are kept in.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openArchiveDatabase() {
+    if (!archiveDatabase) {
+        archiveDatabase = new Promise((resolve, reject) => {
+            const request = indexedDB.open(ARCHIVE_DB_NAME, ARCHIVE_DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const database = request.result;
+                if (event.oldVersion < 1) {
+                    database.createObjectStore(ARCHIVE_STORE_NAME, { keyPath: 'libraryId' });
+                }
+                if (event.oldVersion < 2) {
+                    // Summarize what version 1 archived, one record at a time
+                    const summaryStore = database.createObjectStore(ARCHIVE_SUMMARY_STORE_NAME, { keyPath: 'libraryId' });
+                    const cursorRequest = request.transaction.objectStore(ARCHIVE_STORE_NAME).openCursor();
+                    cursorRequest.onsuccess = () => {
+                        const cursor = cursorRequest.result;
+                        if (!cursor) return;
+                        summaryStore.put(summarizeArchiveRecord(cursor.value));
+                        cursor.continue();
+                    };
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch((error) => {
+            archiveDatabase = null;
+            throw error;
+        });
+    }
+    return archiveDatabase;
+}
 
-            const organizationId = await getOrgIdFromSwipeFileTab();
-            if (!organizationId) {
-                sendResponse({ success: false, message: "Organization ID not found.", redirectToInspiration: true });
-                return;
-            }
+/**
+ * Runs requests against the archive stores in one transaction.
+ * @param {'readonly'|'readwrite'} mode - The transaction mode.
+ * @param {function(IDBObjectStore, IDBObjectStore): (IDBRequest|void)} makeRequest - Issues the requests on the
+ *     creatives and summaries stores, and returns the one whose result is wanted.
+ * @returns {Promise<*>} The returned request's result.
+ */
+async function runArchiveRequest(mode, makeRequest) {
+    const database = await openArchiveDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction([ARCHIVE_STORE_NAME, ARCHIVE_SUMMARY_STORE_NAME], mode);
+        const request = makeRequest(
+            transaction.objectStore(ARCHIVE_STORE_NAME),
+            transaction.objectStore(ARCHIVE_SUMMARY_STORE_NAME)
+        );
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        // Quota errors abort the transaction rather than failing the request
+        transaction.onerror = transaction.onabort = () => reject(transaction.error);
+    });
+}
 
-            const SwipeFileTabs = await chrome.tabs.query({ url: "https://www.swipefile.pro/*" });
-            if (!SwipeFileTabs || SwipeFileTabs.length === 0) {
-                sendResponse({ success: false, message: "Swipe File tab not open. Please open Swipe File to save ads." });
-                return;
-            }
-            // Prefer active tab, otherwise take the first one.
-            const targetTab = SwipeFileTabs.find(t => t.active) || SwipeFileTabs[0];
+/**
+ * Returns an archive record without its file contents, as kept in the summaries store.
+ * @param {object} record - A record of the creatives store.
+ * @returns {object}
+ */
+function summarizeArchiveRecord(record) {
+    const files = record.files.map(({ kind, url, mimeType, size }) => ({ kind, url, mimeType, size }));
+    return {
+        libraryId: record.libraryId,
+        library: record.library,
+        sourceUrl: record.sourceUrl,
+        archivedAt: record.archivedAt,
+        files,
+        totalBytes: files.reduce((sum, file) => sum + file.size, 0)
+    };
+}
+
+/**
+ * Returns whether saves should also archive the ad's media: the setting is on and the
+ * CDN access requested when it was turned on (optional_host_permissions) is still granted.
+ * @returns {Promise<boolean>}
+ */
+async function isArchiveEnabled() {
+    const result = await chrome.storage.local.get(ARCHIVE_SETTING_STORAGE_KEY);
+    if (!result[ARCHIVE_SETTING_STORAGE_KEY]) return false;
+    return chrome.permissions.contains({ origins: chrome.runtime.getManifest().optional_host_permissions });
+}
+
+/**
+ * Lists the media files of an ad that can be archived.
+ * Meta sends them in its metadata, TikTok alongside the creative link.
+ * @param {object} adData - The data sent by the content script.
+ * @returns {Array<{kind: 'image'|'video'|'thumbnail', url: string}>}
+ */
+function getAdMediaFiles(adData) {
+    const media = (adData.metadata && adData.metadata.media) || adData.media;
+    if (!media) return [];
+    return [
+        ...(media.images || []).map(url => ({ kind: 'image', url })),
+        ...(media.videos || []).map(url => ({ kind: 'video', url })),
+        ...(media.thumbnails || []).map(url => ({ kind: 'thumbnail', url }))
+    ];
+}
+
+/**
+ * Downloads an ad's images, videos and thumbnails into the archive, so a copy survives the ad being taken down.
+ * Files that fail to download or are too large are skipped; the save itself is never affected.
+ * @param {object} adData - The data sent by the content script.
+ * @returns {Promise<void>}
+ */
+async function archiveAdCreatives(adData) {
+    const mediaFiles = getAdMediaFiles(adData);
+    if (mediaFiles.length === 0) return;
 
-            if (!targetTab || !targetTab.id) {
-                 sendResponse({ success: false, message: "Could not find a suitable Swipe File tab." });
-                 return;
+    const files = [];
+    for (const { kind, url } of mediaFiles) {
+        try {
+            // CDN links are signed, so no cookies are needed (or sent)
+            const response = await fetch(url, { credentials: 'omit' });
+            if (!response.ok) {
+                throw new Error(`${response.status} ${response.statusText}`);
+            }
+            if (Number(response.headers.get('Content-Length')) > ARCHIVE_MAX_FILE_BYTES) {
+                throw new Error('File too large');
+            }
+            const blob = await response.blob();
+            if (blob.size > ARCHIVE_MAX_FILE_BYTES) {
+                throw new Error('File too large');
             }
+            files.push({ kind, url, mimeType: blob.type, size: blob.size, blob });
+        } catch (error) {
+            console.warn(`[Ad Saver Background] Could not archive ${kind} of ${adData.libraryId}:`, error);
+        }
+    }
+    if (files.length === 0) return;
 
-            try {
-                const payload = { userId, organizationId };
-                if (isTiktok) {
-                    payload.creativeLink = libraryId; // For TikTok, libraryId is the link
-                    payload.library = 'tiktok';
-                } else {
-                    payload.libraryId = libraryId; // For Facebook
-                    payload.library = 'meta';
-                }
-                
-                const executionResults = await chrome.scripting.executeScript({
-                    target: { tabId: targetTab.id },
-                    func: saveAdInPageContext, // The function to inject
-                    args: [ADVERT_FARM_API_SAVE_AD_URL, payload] // Args to pass to the injected function
+    try {
+        const record = {
+            libraryId: adData.libraryId,
+            library: adData.library,
+            sourceUrl: getAdSourceUrl(adData),
+            archivedAt: Date.now(),
+            files
+        };
+        await runArchiveRequest('readwrite', (store, summaryStore) => {
+            store.put(record);
+            summaryStore.put(summarizeArchiveRecord(record));
+        });
+        console.log(`[Ad Saver Background] Archived ${files.length} media files of ${adData.libraryId}.`);
+    } catch (error) {
+        console.error('[Ad Saver Background] Error storing archived creatives:', error);
+    }
+}
+
+/**
+ * Deletes an ad's archived media, e.g. after it was removed from Swipe File.
+ * @param {string} libraryId - The library ID of the ad.
+ * @returns {Promise<void>}
+ */
+async function deleteArchivedCreatives(libraryId) {
+    try {
+        await runArchiveRequest('readwrite', (store, summaryStore) => {
+            store.delete(libraryId);
+            summaryStore.delete(libraryId);
+        });
+    } catch (error) {
+        console.error('[Ad Saver Background] Error deleting archived creatives:', error);
+    }
+}
+
+/**
+ * Counts the archived ads and the space their media takes up, from the summaries alone.
+ * @returns {Promise<{adCount: number, totalBytes: number}>}
+ */
+async function getArchiveStats() {
+    try {
+        const stats = { adCount: 0, totalBytes: 0 };
+        await runArchiveRequest('readonly', (store, summaryStore) => {
+            const cursorRequest = summaryStore.openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                stats.adCount++;
+                stats.totalBytes += cursor.value.totalBytes;
+                cursor.continue();
+            };
+        });
+        return stats;
+    } catch (error) {
+        console.error('[Ad Saver Background] Error reading archive:', error);
+        return { adCount: 0, totalBytes: 0 };
+    }
+}
+
+/**
+ * Stores the default organization for saves.
+ * @param {string} organizationId - The organization ID.
+ * @returns {Promise<void>}
+ */
+async function setSelectedOrgId(organizationId) {
+    try {
+        await chrome.storage.local.set({ [ORG_ID_STORAGE_KEY]: organizationId });
+        console.log('[Ad Saver Background] Default organization set to:', organizationId);
+        // Buttons show the saved state of the default organization, so load its index.
+        await syncSavedIndex();
+    } catch (error) {
+        console.error('[Ad Saver Background] Error storing organization ID:', error);
+    }
+}
+
+/**
+ * Calls the Swipe File save API directly from the service worker.
+ * The host permission for swipefile.pro lets the session cookie go along with the request.
+ * @param {object} payload - The body built by buildSavePayload.
+ * @returns {Promise<{success: boolean, data?: object, message: string, retryable?: boolean}>} The outcome of the save.
+ */
+async function saveAdToSwipeFile(payload) {
+    let response;
+    try {
+        response = await fetch(ADVERT_FARM_API_SAVE_AD_URL, {
+            method: 'POST',
+            credentials: 'include',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        });
+    } catch (error) {
+        // fetch only rejects when the request never got a response (offline, DNS, CORS...)
+        console.error('[Ad Saver Background] Network error calling save API:', error);
+        return { success: false, message: `Network error: ${error.message}`, retryable: true };
+    }
+
+    const responseData = await response.json().catch(() => ({})); // Try to parse JSON regardless of ok status for error messages
+    if (!response.ok) {
+        console.error(`[Ad Saver Background] Save API returned ${response.status}:`, responseData);
+        return {
+            success: false,
+            // Include the message from the backend if available
+            message: responseData.message || `API Error: ${response.status} ${response.statusText}`,
+            // Expired sessions, rate limiting and server errors are worth retrying; validation errors are not.
+            retryable: response.status === 401 || response.status === 403 || response.status === 408 ||
+                response.status === 429 || response.status >= 500
+        };
+    }
+    return { success: true, data: responseData, message: responseData.message || "Ad saved successfully." };
+}
+
+/**
+ * Calls the Swipe File delete API to remove a saved ad.
+ * @param {object} payload - The body built by buildSavePayload, identifying the ad and organization.
+ * @returns {Promise<{success: boolean, data?: object, message: string}>} The outcome of the removal.
+ */
+async function removeAdFromSwipeFile(payload) {
+    try {
+        const response = await fetch(ADVERT_FARM_API_DELETE_AD_URL, {
+            method: 'DELETE',
+            credentials: 'include',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        });
+        const responseData = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(responseData.message || `API Error: ${response.status} ${response.statusText}`);
+        }
+        return { success: true, data: responseData, message: responseData.message || "Ad removed." };
+    } catch (error) {
+        console.error('[Ad Saver Background] Error calling delete API:', error);
+        return { success: false, message: error.message || 'Failed to remove ad.' };
+    }
+}
+
+/**
+ * Builds the body for the save API from the data sent by the content script.
+ * @param {object} adData - The request data; `library` names the ad library ('meta', 'tiktok', 'google', 'linkedin')
+ *   and `tags`, `collectionIds` and `note` are passed through when set.
+ * @param {string} userId - The Swipe File user ID.
+ * @param {string} organizationId - The organization the ad is saved to.
+ * @returns {object} The payload for ADVERT_FARM_API_SAVE_AD_URL.
+ */
+function buildSavePayload(adData, userId, organizationId) {
+    const payload = { userId, organizationId };
+    const library = adData.library;
+
+    if (library === 'tiktok') {
+        payload.creativeLink = adData.creativeLink;
+        payload.creativeId = adData.creativeId;
+        payload.creativeSource = adData.creativeSource; // 'creative_center' or 'ad_library'
+        payload.library = 'tiktok';
+    } else if (library === 'google') {
+        payload.advertiserId = adData.advertiserId;
+        payload.creativeId = adData.creativeId;
+        payload.library = 'google';
+    } else if (library === 'linkedin') {
+        payload.libraryId = adData.libraryId; // The LinkedIn ad ID
+        payload.advertiserName = adData.advertiserName;
+        payload.advertiserUrl = adData.advertiserUrl;
+        payload.library = 'linkedin';
+    } else {
+        payload.libraryId = adData.libraryId; // For Facebook
+        payload.library = 'meta';
+        if (adData.metadata) {
+            payload.metadata = adData.metadata; // Versioned details scraped from the card, see extractFacebookAdMetadata
+        }
+    }
+
+    // Optional organization details chosen in the save options popover (or the default tags)
+    if (adData.tags && adData.tags.length > 0) payload.tags = adData.tags;
+    if (adData.collectionIds && adData.collectionIds.length > 0) payload.collectionIds = adData.collectionIds;
+    if (adData.note) payload.note = adData.note;
+    return payload;
+}
+
+/**
+ * Saves an ad for the signed-in user to the organization picked for this save, or the default one.
+ * @param {object} adData - The data sent by the content script; `libraryId` identifies the ad in storage
+ *   and an optional `organizationId` overrides the default organization.
+ * @returns {Promise<object>} The outcome: `success`, `message`, and on failure `retryable` plus any redirect hint.
+ */
+async function saveAd(adData) {
+    const sessionData = await checkSwipeFileSession();
+    if (!sessionData || !sessionData.user) {
+        return { success: false, message: "User not authenticated.", redirectToLogin: true, retryable: true };
+    }
+    const userId = sessionData.user.id;
+
+    const organizationId = adData.organizationId || await getSelectedOrgId();
+    if (!organizationId) {
+        return { success: false, message: "Choose an organization to save to.", selectOrganization: true, retryable: true };
+    }
+
+    // A plain click sends no tags, so the default tags apply; the popover always sends its own (possibly empty) list.
+    if (!adData.tags) {
+        const { defaultTags } = await getTagSettings();
+        adData = { ...adData, tags: defaultTags };
+    }
+
+    const payload = buildSavePayload(adData, userId, organizationId);
+    const result = await saveAdToSwipeFile(payload);
+    if (result.success) {
+        // If save was successful, mark the ad as saved in storage
+        // The `libraryId` from the request is the unique identifier we use for storage,
+        // which is the ad's ID for Facebook, the stable creative ID for TikTok, the creative ID for Google
+        // and the ad ID for LinkedIn.
+        await markAdAsSaved(adData.libraryId, userId, organizationId);
+        await addRecentSave(adData, organizationId);
+        await addRecentTags(adData.tags);
+        result.organizationId = organizationId;
+        // Downloads can take a while; the save is reported without waiting for them
+        if (await isArchiveEnabled()) {
+            archiveAdCreatives(adData);
+        }
+    }
+    return result;
+}
+
+/**
+ * Removes a saved ad from Swipe File and from the local saved index.
+ * @param {object} adData - The ad's save data; `organizationId` is the organization it was saved to, if known.
+ * @returns {Promise<object>} The outcome: `success`, `message`, and `redirectToLogin` when logged out.
+ */
+async function unsaveAd(adData) {
+    const sessionData = await checkSwipeFileSession();
+    if (!sessionData || !sessionData.user) {
+        return { success: false, message: "User not authenticated.", redirectToLogin: true };
+    }
+    const userId = sessionData.user.id;
+
+    const organizationId = adData.organizationId || await getSelectedOrgId();
+    if (!organizationId) {
+        return { success: false, message: "Organization ID not found." };
+    }
+
+    let payloadAdData = adData;
+    const { [TIKTOK_LEGACY_LINKS_STORAGE_KEY]: legacyLinks = {} } = await chrome.storage.local.get(TIKTOK_LEGACY_LINKS_STORAGE_KEY);
+    const legacyLink = adData.library === 'tiktok' && legacyLinks[adData.libraryId];
+    if (legacyLink) {
+        // Saved before stable IDs: the server knows it by the link it was saved by
+        payloadAdData = { ...adData, creativeLink: legacyLink };
+    }
+
+    const payload = buildSavePayload(payloadAdData, userId, organizationId);
+    const result = await removeAdFromSwipeFile(payload);
+    if (result.success) {
+        if (legacyLink) {
+            delete legacyLinks[adData.libraryId];
+            await chrome.storage.local.set({ [TIKTOK_LEGACY_LINKS_STORAGE_KEY]: legacyLinks });
+        }
+        await unmarkAdAsSaved(adData.libraryId, userId, organizationId);
+        await removeRecentSave(adData.libraryId);
+        await deleteArchivedCreatives(adData.libraryId);
+    }
+    return result;
+}
+
+// Chain of rate-limited saves, and when the last one started.
+let rateLimitedSaveChain = Promise.resolve();
+let lastSaveStartedAt = 0;
+
+/**
+ * Runs saves one after another, at least SAVE_MIN_INTERVAL_MS apart.
+ * Bulk saves from the content script and queue retries all go through here.
+ * @param {object} adData - The data sent by the content script.
+ * @returns {Promise<object>} The outcome of saveAd.
+ */
+function saveAdRateLimited(adData) {
+    const run = rateLimitedSaveChain.then(async () => {
+        const waitMs = lastSaveStartedAt + SAVE_MIN_INTERVAL_MS - Date.now();
+        if (waitMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+        }
+        lastSaveStartedAt = Date.now();
+        return saveAd(adData);
+    });
+    rateLimitedSaveChain = run.catch(() => {});
+    return run;
+}
+
+// Serializes read-modify-write cycles on the watches, as tabs report seen ads while they scroll.
+let watchesLock = Promise.resolve();
+
+/**
+ * Reads the watched advertisers and searches.
+ * @returns {Promise<Object<string, object>>} Watches by key; each holds `key`, `label`, `url`,
+ *   `createdAt`, `lastVisitedAt` and `seenIds`.
+ */
+async function getWatches() {
+    try {
+        const result = await chrome.storage.local.get(WATCHES_STORAGE_KEY);
+        return result[WATCHES_STORAGE_KEY] || {};
+    } catch (error) {
+        console.error('[Ad Saver Background] Error reading watches:', error);
+        return {};
+    }
+}
+
+/**
+ * Applies a change to the watches and writes them back.
+ * @param {function(Object<string, object>): void} mutate - Changes the watches in place.
+ * @returns {Promise<Object<string, object>>} The watches after the change.
+ */
+function updateWatches(mutate) {
+    const run = watchesLock.then(async () => {
+        const watches = await getWatches();
+        mutate(watches);
+        await chrome.storage.local.set({ [WATCHES_STORAGE_KEY]: watches });
+        return watches;
+    });
+    watchesLock = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Adds Library IDs to the ones seen for a watch.
+ * @param {string} watchKey - The watch.
+ * @param {Array<string>} libraryIds - IDs of ads the user has now seen.
+ * @returns {Promise<void>}
+ */
+async function markWatchAdsSeen(watchKey, libraryIds) {
+    try {
+        await updateWatches((watches) => {
+            const watch = watches[watchKey];
+            if (!watch) return;
+            const seenIds = new Set(watch.seenIds);
+            libraryIds.forEach(libraryId => seenIds.add(libraryId));
+            watch.seenIds = Array.from(seenIds).slice(-WATCH_SEEN_IDS_LIMIT);
+            watch.lastVisitedAt = Date.now();
+        });
+    } catch (error) {
+        console.error('[Ad Saver Background] Error updating watch:', error);
+    }
+}
+
+/**
+ * Shows how many new ads a watched page has that the user hasn't scrolled to yet, on the tab's toolbar icon.
+ * @param {number} tabId - The tab showing the watched page.
+ * @param {number} count - The number of unseen new ads.
+ */
+function setUnseenAdsBadge(tabId, count) {
+    chrome.action.setBadgeBackgroundColor({ tabId, color: 'hsl(262.1, 83.3%, 57.8%)' }).catch(() => {});
+    chrome.action.setBadgeText({ tabId, text: count > 0 ? String(count) : '' }).catch(() => {});
+    chrome.action.setTitle({ tabId, title: count > 0 ? `Swipe File Ad Saver: ${count} new ads` : 'Swipe File Ad Saver' }).catch(() => {});
+}
+
+/**
+ * Reads the auto-save rules and the per-session cap.
+ * @returns {Promise<{rules: Array<object>, sessionCap: number}>}
+ */
+async function getAutoSaveSettings() {
+    try {
+        const result = await chrome.storage.local.get([AUTO_SAVE_RULES_STORAGE_KEY, AUTO_SAVE_CAP_STORAGE_KEY]);
+        return {
+            rules: result[AUTO_SAVE_RULES_STORAGE_KEY] || [],
+            sessionCap: result[AUTO_SAVE_CAP_STORAGE_KEY] ?? AUTO_SAVE_DEFAULT_SESSION_CAP
+        };
+    } catch (error) {
+        console.error('[Ad Saver Background] Error reading auto-save rules:', error);
+        return { rules: [], sessionCap: AUTO_SAVE_DEFAULT_SESSION_CAP };
+    }
+}
+
+/**
+ * Returns how many ads rules have saved in this browser session.
+ * @returns {Promise<number>}
+ */
+async function getAutoSaveCount() {
+    const result = await chrome.storage.session.get(AUTO_SAVE_COUNT_SESSION_KEY);
+    return result[AUTO_SAVE_COUNT_SESSION_KEY] || 0;
+}
+
+// Reservations run one after another, so tabs auto-saving at the same time can't overshoot the cap.
+let autoSaveReservationLock = Promise.resolve();
+
+/**
+ * Takes one auto-save from the per-session allowance.
+ * @returns {Promise<boolean>} True if the ad may be auto-saved, false once the cap is reached.
+ */
+function reserveAutoSave() {
+    const run = autoSaveReservationLock.then(async () => {
+        const [{ sessionCap }, count] = await Promise.all([getAutoSaveSettings(), getAutoSaveCount()]);
+        if (count >= sessionCap) return false;
+        await chrome.storage.session.set({ [AUTO_SAVE_COUNT_SESSION_KEY]: count + 1 });
+        return true;
+    }).catch((error) => {
+        console.error('[Ad Saver Background] Error reserving auto-save:', error);
+        return false;
+    });
+    autoSaveReservationLock = run;
+    return run;
+}
+
+/**
+ * Gives back an auto-save reserved for a save that failed without being queued.
+ * @returns {Promise<void>}
+ */
+function releaseAutoSave() {
+    const run = autoSaveReservationLock.then(async () => {
+        const count = await getAutoSaveCount();
+        await chrome.storage.session.set({ [AUTO_SAVE_COUNT_SESSION_KEY]: Math.max(0, count - 1) });
+    }).catch((error) => {
+        console.error('[Ad Saver Background] Error releasing auto-save:', error);
+    });
+    autoSaveReservationLock = run;
+    return run;
+}
+
+// Serializes read-modify-write cycles on the save queue so concurrent saves don't drop entries.
+let saveQueueLock = Promise.resolve();
+
+/**
+ * Reads the save queue from chrome.storage.local.
+ * @returns {Promise<Array<object>>} The queued entries; each holds `adData`, `tabId`, `attempts`,
+ *   `queuedAt`, `nextAttemptAt`, `lastError` and `status` ('pending' or 'failed').
+ */
+async function getSaveQueue() {
+    try {
+        const result = await chrome.storage.local.get(SAVE_QUEUE_STORAGE_KEY);
+        return result[SAVE_QUEUE_STORAGE_KEY] || [];
+    } catch (error) {
+        console.error('[Ad Saver Background] Error reading save queue:', error);
+        return [];
+    }
+}
+
+/**
+ * Applies a change to the save queue and writes it back.
+ * @param {function(Array<object>): Array<object>} mutate - Receives the current queue and returns the new one.
+ * @returns {Promise<Array<object>>} The queue after the change.
+ */
+function updateSaveQueue(mutate) {
+    const run = saveQueueLock.then(async () => {
+        const queue = mutate(await getSaveQueue());
+        await chrome.storage.local.set({ [SAVE_QUEUE_STORAGE_KEY]: queue });
+        return queue;
+    });
+    saveQueueLock = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Returns how long to wait before the next retry, doubling with each attempt.
+ * @param {number} attempts - The number of retries made so far.
+ * @returns {number} The delay in milliseconds.
+ */
+function getSaveRetryDelay(attempts) {
+    return Math.min(SAVE_QUEUE_BASE_DELAY_MS * 2 ** attempts, SAVE_QUEUE_MAX_DELAY_MS);
+}
+
+/**
+ * Adds a failed or deferred save to the queue, or refreshes it if the ad is already queued.
+ * @param {object} adData - The data sent by the content script.
+ * @param {string} errorMessage - Why the save did not go through.
+ * @param {number|undefined} tabId - The tab to notify once the save is resolved.
+ * @returns {Promise<void>}
+ */
+async function enqueueSave(adData, errorMessage, tabId) {
+    try {
+        const queue = await updateSaveQueue((queue) => {
+            const existing = queue.find(entry => entry.adData.libraryId === adData.libraryId);
+            if (existing) {
+                existing.adData = adData;
+                existing.tabId = tabId || existing.tabId;
+                existing.lastError = errorMessage;
+                existing.status = 'pending';
+            } else {
+                queue.push({
+                    adData,
+                    tabId,
+                    attempts: 0,
+                    queuedAt: Date.now(),
+                    nextAttemptAt: Date.now() + getSaveRetryDelay(0),
+                    lastError: errorMessage,
+                    status: 'pending'
                 });
-                
-                // executeScript returns an array of results, one for each frame injected.
-                // We expect one result from the main frame.
-                if (executionResults && executionResults.length > 0 && executionResults[0].result) {
-                    const result = executionResults[0].result;
-                    if (result.success) {
-                        // If save was successful, mark the ad as saved in storage
-                        // The `libraryId` from the request is the unique identifier we use for storage,
-                        // which is the ad's ID for Facebook and the creative link for TikTok.
-                        await markAdAsSaved(libraryId);
-                    }
-                    sendResponse(result);
-                } else {
-                    console.error("[Ad Saver Background] Script injection for saveAdInPageContext didn't return expected result.", executionResults);
-                    sendResponse({ success: false, message: "Failed to execute save operation in Swipe File tab." });
-                }
-            } catch (error) {
-                console.error('[Ad Saver Background] Error executing script in Swipe File tab:', error);
-                sendResponse({ success: false, message: `Error saving ad: ${error.message}` });
             }
+            return queue;
+        });
+        console.log(`[Ad Saver Background] Queued save for libraryId ${adData.libraryId}: ${errorMessage}`);
+        await scheduleSaveQueueRetry(queue);
+    } catch (error) {
+        console.error('[Ad Saver Background] Error queueing save:', error);
+    }
+}
+
+/**
+ * Drops an ad from the save queue, e.g. after the user saved it by hand.
+ * @param {string} libraryId - The library ID of the ad.
+ * @returns {Promise<void>}
+ */
+async function removeFromSaveQueue(libraryId) {
+    try {
+        const queue = await updateSaveQueue(queue => queue.filter(entry => entry.adData.libraryId !== libraryId));
+        await scheduleSaveQueueRetry(queue);
+    } catch (error) {
+        console.error('[Ad Saver Background] Error removing save from queue:', error);
+    }
+}
+
+/**
+ * Sets the retry alarm for the earliest pending entry, or clears it when nothing is pending.
+ * @param {Array<object>} queue - The current save queue.
+ * @returns {Promise<void>}
+ */
+async function scheduleSaveQueueRetry(queue) {
+    const pendingEntries = queue.filter(entry => entry.status === 'pending');
+    if (pendingEntries.length === 0) {
+        await chrome.alarms.clear(SAVE_QUEUE_ALARM_NAME);
+        return;
+    }
+    const nextAttemptAt = Math.min(...pendingEntries.map(entry => entry.nextAttemptAt));
+    await chrome.alarms.create(SAVE_QUEUE_ALARM_NAME, { when: Math.max(nextAttemptAt, Date.now() + 1000) });
+}
+
+/**
+ * Tells the tab that queued a save how it turned out, so its button can leave the "Queued" state.
+ * @param {object} entry - The queue entry.
+ * @param {object} result - The outcome of the last attempt.
+ */
+function notifyQueuedSaveResolved(entry, result) {
+    if (!entry.tabId) return;
+    chrome.tabs.sendMessage(entry.tabId, {
+        action: "queuedSaveResolved",
+        data: { libraryId: entry.adData.libraryId, success: result.success, message: result.message }
+    }).catch(() => {
+        // The tab was closed or navigated away; the saved state is picked up on its next visit.
+    });
+}
+
+/**
+ * Sends a message to every open tab the content script runs in.
+ * @param {object} message - The message, with `action` and `data`.
+ * @returns {Promise<void>}
+ */
+async function broadcastToAdLibraryTabs(message) {
+    const urlPatterns = chrome.runtime.getManifest().content_scripts.flatMap(script => script.matches);
+    const tabs = await chrome.tabs.query({ url: urlPatterns });
+    for (const tab of tabs) {
+        chrome.tabs.sendMessage(tab.id, message).catch(() => {
+            // The content script hasn't loaded yet; it looks the states up itself when it does.
+        });
+    }
+}
+
+/**
+ * Works out which ads changed state from a storage change to the saved index or the save queue.
+ * Only the index of the current user and default organization counts, as that's what buttons show.
+ * @param {object} changes - The changes passed to chrome.storage.onChanged.
+ * @returns {Promise<Object<string, 'saved'|'unsaved'|'queued'|'dequeued'>>} The transition of each changed ad.
+ */
+async function getAdStateTransitions(changes) {
+    const transitions = {};
+    const addDifference = (oldIds, newIds, addedState, removedState) => {
+        const oldSet = new Set(oldIds || []);
+        const newSet = new Set(newIds || []);
+        newSet.forEach(libraryId => { if (!oldSet.has(libraryId)) transitions[libraryId] = addedState; });
+        oldSet.forEach(libraryId => { if (!newSet.has(libraryId)) transitions[libraryId] = removedState; });
+    };
+
+    // Queue first, so a save that leaves the queue and enters the index ends up "saved"
+    if (changes[SAVE_QUEUE_STORAGE_KEY]) {
+        const pendingIds = queue => (queue || [])
+            .filter(entry => entry.status === 'pending')
+            .map(entry => entry.adData.libraryId);
+        const { oldValue, newValue } = changes[SAVE_QUEUE_STORAGE_KEY];
+        addDifference(pendingIds(oldValue), pendingIds(newValue), 'queued', 'dequeued');
+    }
+
+    const indexKey = await getCurrentSavedIndexKey();
+    if (indexKey && changes[indexKey]) {
+        addDifference(changes[indexKey].oldValue, changes[indexKey].newValue, 'saved', 'unsaved');
+    }
+    return transitions;
+}
+
+// Only one pass over the queue runs at a time.
+let saveQueueRun = null;
+
+/**
+ * Retries the pending saves in the queue.
+ * @param {boolean} [force=false] - Retry every pending entry now instead of only the ones whose backoff has elapsed.
+ * @returns {Promise<void>}
+ */
+function processSaveQueue(force = false) {
+    if (!saveQueueRun) {
+        saveQueueRun = runSaveQueue(force)
+            .catch(error => console.error('[Ad Saver Background] Error processing save queue:', error))
+            .finally(() => { saveQueueRun = null; });
+    }
+    return saveQueueRun;
+}
+
+// One pass over the queue; see processSaveQueue.
+async function runSaveQueue(force) {
+    const now = Date.now();
+    const dueEntries = (await getSaveQueue())
+        .filter(entry => entry.status === 'pending' && (force || entry.nextAttemptAt <= now));
+
+    for (const entry of dueEntries) {
+        const { libraryId } = entry.adData;
+        const result = await saveAdRateLimited(entry.adData);
+        let resolvedEntry = null;
+
+        await updateSaveQueue((queue) => {
+            const index = queue.findIndex(queued => queued.adData.libraryId === libraryId);
+            if (index === -1) return queue; // Saved by hand in the meantime
+            const queued = queue[index];
+            if (result.success) {
+                queue.splice(index, 1);
+                resolvedEntry = queued;
+                return queue;
+            }
+            queued.attempts += 1;
+            queued.lastError = result.message;
+            if (!result.retryable || queued.attempts >= SAVE_QUEUE_MAX_ATTEMPTS) {
+                queued.status = 'failed';
+                resolvedEntry = queued;
+            } else {
+                queued.nextAttemptAt = Date.now() + getSaveRetryDelay(queued.attempts);
+            }
+            return queue;
+        });
+
+        // A failed retry that will be tried again counts as still queued
+        const willRetry = !result.success && !resolvedEntry;
+        await recordSaveHistory('retry', entry.adData, { ...result, queued: willRetry }, entry.attempts + 1);
+
+        if (resolvedEntry) {
+            console.log(`[Ad Saver Background] Queued save for libraryId ${libraryId} ${result.success ? 'succeeded' : 'failed for good'}.`);
+            notifyQueuedSaveResolved(resolvedEntry, result);
+        }
+    }
+
+    await scheduleSaveQueueRetry(await getSaveQueue());
+}
+
+/**
+ * Saves an ad on request of the user, queueing it for retry when it can't be saved right now.
+ * @param {object} adData - The data sent by the content script (or parsed from a URL).
+ * @param {number|undefined} tabId - The tab to notify when a queued save is resolved.
+ * @returns {Promise<object>} The outcome of saveAd, with `queued` set when it was queued.
+ */
+async function handleSaveRequest(adData, tabId) {
+    const result = await saveAdRateLimited(adData);
+
+    if (result.success) {
+        await removeFromSaveQueue(adData.libraryId);
+    } else if (result.retryable) {
+        // Keep the save around and retry it once the session, organization or network is back.
+        await enqueueSave(adData, result.message, tabId);
+        result.queued = true;
+    }
+    // Not awaited: the response goes out while the history entry is written
+    recordSaveHistory('save', adData, result);
+    return result;
+}
+
+/**
+ * Removes an ad on request of the user and records the outcome in the save history.
+ * @param {object} adData - The ad's save data; `organizationId` is the organization it was saved to, if known.
+ * @returns {Promise<object>} The outcome of unsaveAd.
+ */
+async function handleRemoveRequest(adData) {
+    const result = await unsaveAd(adData);
+    recordSaveHistory('remove', adData, result);
+    return result;
+}
+
+/**
+ * Works out which ad an ad library URL points to. Needs loadSelectorPatterns to have run.
+ * @param {string} url - A Meta, TikTok Creative Center or Ad Library, Google Ads Transparency Center or LinkedIn Ad Library URL.
+ * @returns {object|null} Save data in the shape the content script sends, or null if the URL is not a single ad.
+ */
+function parseAdLibraryUrl(url) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        return null;
+    }
+    const { hostname, pathname, searchParams } = parsedUrl;
+
+    if (hostname.endsWith('facebook.com') && pathname.startsWith('/ads/library')) {
+        const libraryId = searchParams.get('id');
+        return libraryId && /^\d+$/.test(libraryId) ? { libraryId, library: 'meta' } : null;
+    }
+    if (hostname === 'ads.tiktok.com' || hostname === 'library.tiktok.com') {
+        const creative = parseTiktokCreativeUrl(url);
+        return creative ? { ...creative, library: 'tiktok' } : null;
+    }
+    if (hostname === 'adstransparency.google.com') {
+        const match = pathname.match(selectorPatterns.google.creativePath);
+        return match ? { libraryId: match[2], library: 'google', advertiserId: match[1], creativeId: match[2] } : null;
+    }
+    if (hostname.endsWith('linkedin.com')) {
+        const match = pathname.match(selectorPatterns.linkedin.adDetailPath);
+        return match ? { libraryId: match[1], library: 'linkedin', advertiserName: null, advertiserUrl: null } : null;
+    }
+    return null;
+}
+
+/**
+ * Tells the user how a context menu save went: as a toast when the tab runs the content script,
+ * otherwise through the toolbar badge for that tab.
+ * @param {number} tabId - The tab the menu was used in.
+ * @param {'success'|'info'|'warning'|'error'} type - The kind of outcome.
+ * @param {string} message - What happened.
+ */
+function notifyContextMenuSave(tabId, type, message) {
+    chrome.tabs.sendMessage(tabId, { action: "showToast", data: { type, message } }).catch(() => {
+        const badgeColors = { success: 'hsl(150, 60%, 40%)', info: 'hsl(262.1, 83.3%, 57.8%)', warning: 'hsl(35, 90%, 48%)', error: 'hsl(0, 72%, 51%)' };
+        chrome.action.setBadgeBackgroundColor({ tabId, color: badgeColors[type] });
+        chrome.action.setBadgeText({ tabId, text: type === 'success' ? '✓' : '!' });
+        chrome.action.setTitle({ tabId, title: `Swipe File Ad Saver: ${message}` });
+        setTimeout(() => {
+            chrome.action.setBadgeText({ tabId, text: '' }).catch(() => {});
+            chrome.action.setTitle({ tabId, title: 'Swipe File Ad Saver' }).catch(() => {});
+        }, 5000);
+    });
+}
+
+/**
+ * Creates the "Save to Swipe File" context menu items for ad library links and pages.
+ */
+function createContextMenus() {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_SAVE_LINK_ID,
+            title: 'Save ad to Swipe File',
+            contexts: ['link'],
+            targetUrlPatterns: AD_LIBRARY_URL_PATTERNS
+        });
+        chrome.contextMenus.create({
+            id: CONTEXT_MENU_SAVE_PAGE_ID,
+            title: 'Save this ad to Swipe File',
+            contexts: ['page'],
+            documentUrlPatterns: AD_LIBRARY_URL_PATTERNS
+        });
+    });
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === "checkAuth") {
+        checkSwipeFileSession().then(sessionData => {
+            sendResponse({ sessionData }); 
+        });
+        return true;
+    }
+
+    if (request.action === "getOrganizations") {
+        (async () => {
+            const refresh = request.data && request.data.refresh;
+            const organizations = refresh ? await fetchOrganizations() : await getCachedOrganizations();
+            const result = await chrome.storage.local.get(ORG_ID_STORAGE_KEY);
+            sendResponse({ organizations, selectedOrgId: result[ORG_ID_STORAGE_KEY] || null });
+        })();
+        return true;
+    }
+
+    if (request.action === "setSelectedOrg") {
+        (async () => {
+            await setSelectedOrgId(request.data.organizationId);
+            sendResponse({ success: true });
+            // Saves queued while no organization was chosen can go through now.
+            processSaveQueue(true);
         })();
+        return true;
+    }
+
+    if (request.action === "getSaveOptions") {
+        (async () => {
+            const [collections, tagSettings] = await Promise.all([
+                fetchCollections(request.data.organizationId),
+                getTagSettings()
+            ]);
+            sendResponse({ collections, ...tagSettings });
+        })();
+        return true;
+    }
+
+    if (request.action === "setDefaultTags") {
+        chrome.storage.local.set({ [DEFAULT_TAGS_STORAGE_KEY]: request.data.tags }).then(() => {
+            sendResponse({ success: true });
+        });
+        return true;
+    }
+
+    if (request.action === "getSelectorConfig") {
+        getSelectorConfig().then(sendResponse).catch((error) => {
+            console.error('[Ad Saver Background] Error loading selector config:', error);
+            sendResponse(null);
+        });
+        return true;
+    }
+
+    if (request.action === "setArchiveEnabled") {
+        chrome.storage.local.set({ [ARCHIVE_SETTING_STORAGE_KEY]: !!request.data.enabled }).then(() => {
+            sendResponse({ success: true });
+        });
+        return true;
+    }
+
+    if (request.action === "getSaveOverview") {
+        (async () => {
+            const [storageResult, queue, tagSettings, archiveEnabled, archiveStats] = await Promise.all([
+                chrome.storage.local.get(RECENT_SAVES_STORAGE_KEY),
+                getSaveQueue(),
+                getTagSettings(),
+                isArchiveEnabled(),
+                getArchiveStats()
+            ]);
+            sendResponse({
+                defaultTags: tagSettings.defaultTags,
+                archiveEnabled,
+                archiveStats,
+                recentSaves: storageResult[RECENT_SAVES_STORAGE_KEY] || [],
+                pendingSaveCount: queue.filter(entry => entry.status === 'pending').length,
+                failedSaveCount: queue.filter(entry => entry.status === 'failed').length
+            });
+        })();
+        return true;
+    }
+
+    if (request.action === "checkAdsSaved") {
+        getAdSaveStatuses(request.data.libraryIds).then((statuses) => {
+            sendResponse({ statuses });
+        });
+        return true;
+    }
+
+    if (request.action === "saveAdViaSwipeFileTab") {
+        handleSaveRequest(request.data, sender.tab && sender.tab.id).then(sendResponse);
         return true; // Important for asynchronous sendResponse
     }
+
+    if (request.action === "unsaveAd") {
+        handleRemoveRequest(request.data).then(sendResponse);
+        return true;
+    }
+
+    if (request.action === "getWatch") {
+        getWatches().then((watches) => {
+            sendResponse({ watch: watches[request.data.watchKey] || null });
+        });
+        return true;
+    }
+
+    if (request.action === "getWatches") {
+        getWatches().then((watches) => {
+            // The seen IDs are only needed on the watched page itself
+            const list = Object.values(watches).map(({ seenIds, ...watch }) => ({ ...watch, seenCount: seenIds.length }));
+            sendResponse({ watches: list.sort((a, b) => b.lastVisitedAt - a.lastVisitedAt) });
+        });
+        return true;
+    }
+
+    if (request.action === "setWatch") {
+        const { watchKey, watching, label, url, seenIds } = request.data;
+        updateWatches((watches) => {
+            if (!watching) {
+                delete watches[watchKey];
+            } else if (!watches[watchKey]) {
+                watches[watchKey] = { key: watchKey, label, url, createdAt: Date.now(), lastVisitedAt: Date.now(), seenIds: seenIds || [] };
+            }
+        }).then(() => sendResponse({ success: true }), () => sendResponse({ success: false }));
+        return true;
+    }
+
+    if (request.action === "markWatchAdsSeen") {
+        markWatchAdsSeen(request.data.watchKey, request.data.libraryIds).then(() => sendResponse({ success: true }));
+        return true;
+    }
+
+    if (request.action === "setUnseenAdsCount") {
+        if (sender.tab && sender.tab.id) {
+            setUnseenAdsBadge(sender.tab.id, request.data.count);
+        }
+        sendResponse({ success: true });
+        return false;
+    }
+
+    if (request.action === "getAutoSaveRules") {
+        Promise.all([getAutoSaveSettings(), getAutoSaveCount()]).then(([settings, savedThisSession]) => {
+            sendResponse({ ...settings, savedThisSession });
+        });
+        return true;
+    }
+
+    if (request.action === "setAutoSaveRules") {
+        const { rules, sessionCap } = request.data;
+        chrome.storage.local.set({ [AUTO_SAVE_RULES_STORAGE_KEY]: rules, [AUTO_SAVE_CAP_STORAGE_KEY]: sessionCap }).then(() => {
+            sendResponse({ success: true });
+        });
+        return true;
+    }
+
+    if (request.action === "reserveAutoSave") {
+        reserveAutoSave().then(allowed => sendResponse({ allowed }));
+        return true;
+    }
+
+    if (request.action === "releaseAutoSave") {
+        releaseAutoSave().then(() => sendResponse({ success: true }));
+        return true;
+    }
+
+    if (request.action === "getSaveHistory") {
+        chrome.storage.local.get(SAVE_HISTORY_STORAGE_KEY).then((result) => {
+            sendResponse({ history: result[SAVE_HISTORY_STORAGE_KEY] || [] });
+        });
+        return true;
+    }
+
+    if (request.action === "clearSaveHistory") {
+        chrome.storage.local.remove(SAVE_HISTORY_STORAGE_KEY).then(() => {
+            sendResponse({ success: true });
+        });
+        return true;
+    }
     return false; // For synchronous messages or if action not handled
 });
 
-// Optional: Listen for tab updates to potentially re-check auth if the user logs in/out
-// on the Swipe File domain in another tab.
+// Keep the in-memory saved index in step with storage: saves, removals, syncs and user or organization switches.
+// Open ad library tabs are told too, so the same ad shows the same state everywhere without a reload.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    const keys = Object.keys(changes);
+    if (keys.some(key => key.startsWith(SAVED_ADS_STORAGE_KEY_PREFIX) || key === SESSION_USER_STORAGE_KEY ||
+        key === ORG_ID_STORAGE_KEY || key === LEGACY_SAVED_ADS_STORAGE_KEY)) {
+        savedIndexCache = null;
+    }
+
+    // Logging in or out, or another default organization, changes which index applies to every button
+    if (changes[SESSION_USER_STORAGE_KEY] || changes[ORG_ID_STORAGE_KEY]) {
+        broadcastToAdLibraryTabs({ action: "savedIndexReset" });
+        return;
+    }
+    getAdStateTransitions(changes).then((transitions) => {
+        if (Object.keys(transitions).length > 0) {
+            broadcastToAdLibraryTabs({ action: "adStatesChanged", data: { transitions } });
+        }
+    });
+});
+
+// Re-check auth when a Swipe File page loads, as the user may have logged in or out there.
+// The session check records the user, which resets the buttons in open ad library tabs.
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
     if (changeInfo.status === 'complete' && tab.url && tab.url.startsWith(ADVERT_FARM_LOGIN_URL)) {
         console.log('[Ad Saver] User interacted with Swipe File domain. Session status might have changed.');
-        // Potentially trigger a re-check or notify content scripts, if needed for immediate UI updates.
-        // For now, we rely on the check happening before an action.
+        // Retry queued saves straight away if the user is now logged in.
+        (async () => {
+            if (await checkSwipeFileSession()) {
+                await processSaveQueue(true);
+            }
+        })();
+    }
+});
+
+// Keyboard shortcuts (see "commands" in manifest.json) are carried out by the content script of the active tab.
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (!tab || !tab.id) return;
+    chrome.tabs.sendMessage(tab.id, { action: "runCommand", data: { command } }).catch(() => {
+        console.log(`[Ad Saver] Shortcut "${command}" used on a tab without the ad saver.`);
+    });
+});
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    if (info.menuItemId !== CONTEXT_MENU_SAVE_LINK_ID && info.menuItemId !== CONTEXT_MENU_SAVE_PAGE_ID) return;
+    const tabId = tab && tab.id;
+    const url = info.menuItemId === CONTEXT_MENU_SAVE_LINK_ID ? info.linkUrl : info.pageUrl;
+    try {
+        await loadSelectorPatterns();
+    } catch (error) {
+        console.error('[Ad Saver Background] Error loading selector patterns for a context menu save:', error);
+        if (tabId) notifyContextMenuSave(tabId, 'error', 'Could not read the ad link. Please try again.');
+        return;
+    }
+    const adData = parseAdLibraryUrl(url);
+
+    if (!adData) {
+        if (tabId) notifyContextMenuSave(tabId, 'error', 'This link does not point to a single ad.');
+        return;
+    }
+
+    handleSaveRequest(adData, tabId).then((result) => {
+        if (!tabId) return;
+        if (result.success) {
+            notifyContextMenuSave(tabId, 'success', 'Ad saved to Swipe File.');
+        } else if (result.queued) {
+            notifyContextMenuSave(tabId, 'warning', `Save queued: ${result.message}`);
+        } else {
+            notifyContextMenuSave(tabId, 'error', `Failed to save ad: ${result.message}`);
+        }
+    }).catch((error) => {
+        console.error('[Ad Saver Background] Error handling context menu save:', error);
+        if (tabId) notifyContextMenuSave(tabId, 'error', `Failed to save ad: ${error.message}`);
+    });
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === SAVE_QUEUE_ALARM_NAME) {
+        processSaveQueue();
+    } else if (alarm.name === SAVED_INDEX_SYNC_ALARM_NAME) {
+        syncSavedIndex();
+    } else if (alarm.name === SELECTOR_CONFIG_ALARM_NAME) {
+        refreshSelectorConfig();
+    }
+});
+
+chrome.runtime.onStartup.addListener(() => {
+    chrome.alarms.create(SAVED_INDEX_SYNC_ALARM_NAME, { periodInMinutes: SAVED_INDEX_SYNC_PERIOD_MINUTES });
+    chrome.alarms.create(SELECTOR_CONFIG_ALARM_NAME, { periodInMinutes: SELECTOR_CONFIG_REFRESH_MINUTES });
+    processSaveQueue();
+    syncSavedIndex();
+    refreshSelectorConfig();
+});
+
+/**
+ * Brings stored data from an older version up to date: TikTok IDs, then the flat saved ads list,
+ * which needs the session check to know the signed-in user.
+ * @returns {Promise<void>}
+ */
+async function migrateFromPreviousVersion() {
+    await migrateTiktokLibraryIds();
+    // Records the user; the sync that starts waits for this migration to finish
+    await checkSwipeFileSession();
+    await migrateLegacySavedAds();
+}
+
+chrome.runtime.onInstalled.addListener((details) => {
+    createContextMenus();
+    chrome.alarms.create(SAVED_INDEX_SYNC_ALARM_NAME, { periodInMinutes: SAVED_INDEX_SYNC_PERIOD_MINUTES });
+    chrome.alarms.create(SELECTOR_CONFIG_ALARM_NAME, { periodInMinutes: SELECTOR_CONFIG_REFRESH_MINUTES });
+    refreshSelectorConfig();
+    if (details.reason === 'update') {
+        upgradeMigration = migrateFromPreviousVersion();
+    } else {
+        // A session check records the user, which syncs the saved index from the server.
+        checkSwipeFileSession();
     }
 });
 
@@ -4,499 +4,3024 @@ const FB_PROCESSED_MARKER_CLASS = 'ad-saver-extension-processed-card';
 const FB_SAVE_BUTTON_CLASS = 'ad-saver-extension-save-button';
 const FB_SAVED_BUTTON_CLASS = 'ad-saver-extension-saved-button'; // New class for saved state
 const BUTTON_WRAPPER_CLASS = 'ad-saver-button-wrapper'; // For the new wrapper
+const FB_DETAILS_PROCESSED_MARKER_CLASS = 'ad-saver-extension-processed-details'; // "See ad details" modals
+const FB_DETAILS_WRAPPER_CLASS = 'ad-saver-details-button-wrapper';
+const FB_PENDING_MARKER_CLASS = 'ad-saver-extension-pending-card'; // Found, button injected once near the viewport
+const FB_VISIBILITY_ROOT_MARGIN = '800px 0px'; // How far outside the viewport cards get their buttons
+const FB_SEVERAL_ID_ELEMENTS = Symbol('several ID lines'); // Marks elements holding more than one ad's ID line
+const FB_METADATA_VERSION = 1; // Bump when the shape of the metadata sent with Meta saves changes
+// Platform selectors and the labels the Meta Ad Library renders per UI language come from a versioned
+// config: selectors.json, or a newer one the background script fetched (see loadSelectorConfig).
+// Scans start once it's loaded. Cards and Library IDs in UI languages missing from the labels are
+// still found by the structural fallbacks, just less cheaply.
+let selectorConfig = null;
+let selectorPatterns = null; // The URL and text patterns of selectorConfig, compiled, by platform
+let fbLibraryIdRegex = null; // Built from the "Library ID" labels of selectorConfig
+const SELECTOR_CONFIG_RETRY_DELAYS_MS = [1000, 3000, 10000]; // Waits before asking again, e.g. while the service worker starts
 const ADVERT_FARM_LOGIN_URL = 'https://www.swipefile.pro/'; // Or your specific login page
 const ADVERT_FARM_INSPIRATION_URL = 'https://www.swipefile.pro/saved'; // URL for inspiration page
 // const ADVERT_FARM_API_TEST_URL = 'https://www.swipefile.pro/api/test'; // No longer called directly from here
 // const LOCAL_STORAGE_ORG_KEY = "selectedOrgId"; // Handled by background script
 
+const SAVE_OPTIONS_TOGGLE_CLASS = 'ad-saver-save-options-toggle';
+const SAVE_BUTTON_SECONDARY_ACTION_CLASS = 'ad-saver-secondary-action'; // "Undo"/"Remove" on saved buttons
+const UNDO_WINDOW_MS = 5000; // How long a fresh save offers "Undo" before it becomes "Remove"
+const REMOVE_CONFIRM_MS = 3000; // How long "Confirm remove?" waits for the second click
+const SAVE_OPTIONS_POPOVER_ID = 'ad-saver-save-options-popover';
+const SAVE_OPTIONS_TAGS_DATALIST_ID = 'ad-saver-recent-tags';
+const TOAST_HOST_ID = 'ad-saver-toast-host';
+const TOAST_LIMIT = 5; // Oldest toasts are dropped beyond this
+const TOAST_DURATION_MS = { success: 4000, info: 6000, warning: 8000, error: 10000 };
+const BULK_TOOLBAR_ID = 'ad-saver-bulk-toolbar';
+const BULK_CHECKBOX_CLASS = 'ad-saver-bulk-select';
+const FB_NEW_BADGE_CLASS = 'ad-saver-new-badge'; // "New" on cards of a watched page not seen on earlier visits
+const RULE_MATCH_NOTICE_CLASS = 'ad-saver-rule-match'; // "Matches rule …" with an approve link on flagged cards
+const AUTO_SAVE_RULES_STORAGE_KEY = "autoSaveRules"; // Must match background.js
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIAGNOSTICS_MIN_CANDIDATES = 5; // Fewer candidate cards than this are too few to judge the selectors by
+const DIAGNOSTICS_WARN_RATIO = 0.8; // Warn when fewer than this share of candidate cards yield an ID
+
 const TIKTOK_PROCESSED_MARKER_CLASS = 'ad-saver-extension-processed-tiktok-card';
 const TIKTOK_SAVE_BUTTON_CLASS = 'ad-saver-extension-save-button-tiktok';
 const TIKTOK_SAVED_BUTTON_CLASS = 'ad-saver-extension-saved-button-tiktok';
+const TIKTOK_DETAIL_BAR_ID = 'ad-saver-tiktok-detail-bar'; // Save button for the creative a detail page shows
+const TIKTOK_CARD_MAX_DEPTH = 8; // How far up from a creative link its card is looked for
+const TIKTOK_SEVERAL_CREATIVES = Symbol('several creatives'); // Marks elements holding links to more than one creative
+
+const SAVE_BUTTON_LABELS = {
+    idle: 'Save Ad to Swipe File',
+    saving: 'Saving...',
+    saved: '✓ Saved to Swipe File',
+    queued: '⏳ Queued – will retry',
+    failed: 'Save Failed',
+    error: 'Error',
+    removing: 'Removing...'
+};
+// Per-button save data, class names and undo/remove timers, keyed by the button element.
+const saveButtonConfigs = new WeakMap();
+
+const GOOGLE_PROCESSED_MARKER_CLASS = 'ad-saver-extension-processed-google-card';
+const GOOGLE_SAVE_BUTTON_CLASS = 'ad-saver-extension-save-button-google';
+const GOOGLE_SAVED_BUTTON_CLASS = 'ad-saver-extension-saved-button-google';
+
+const LINKEDIN_PROCESSED_MARKER_CLASS = 'ad-saver-extension-processed-linkedin-card';
+const LINKEDIN_SAVE_BUTTON_CLASS = 'ad-saver-extension-save-button-linkedin';
+const LINKEDIN_SAVED_BUTTON_CLASS = 'ad-saver-extension-saved-button-linkedin';
+
+// Save status by library ID for this tab, so cards that re-render or reappear don't ask the background again.
+// Updated from save and removal outcomes on this page.
+const adSaveStatusCache = new Map();
+
+/**
+ * Checks with background script if an ad is already saved or waiting in the retry queue
+ * @param {string} libraryId - The library ID to check
+ * @returns {Promise<{isSaved: boolean, isQueued: boolean}>} - The ad's save status
+ */
+async function getAdSaveStatus(libraryId) {
+    const statuses = await getAdSaveStatuses([libraryId]);
+    return statuses[libraryId];
+}
+
+/**
+ * Checks the save status of several ads at once, asking the background script only about uncached ones.
+ * @param {Array<string>} libraryIds - The library IDs to check
+ * @returns {Promise<Object<string, {isSaved: boolean, isQueued: boolean}>>} - Save status by library ID
+ */
+function getAdSaveStatuses(libraryIds) {
+    const uniqueIds = [...new Set(libraryIds)];
+    const uncachedIds = uniqueIds.filter(libraryId => !adSaveStatusCache.has(libraryId));
+    const fromCache = () => Object.fromEntries(uniqueIds.map(libraryId => [
+        libraryId,
+        adSaveStatusCache.get(libraryId) || { isSaved: false, isQueued: false }
+    ]));
+    if (uncachedIds.length === 0) {
+        return Promise.resolve(fromCache());
+    }
+
+    return sendBackgroundMessage("checkAdsSaved", { libraryIds: uncachedIds }).then((response) => {
+        // Not cached on failure, so the next lookup asks again
+        if (response && response.statuses) {
+            for (const libraryId of uncachedIds) {
+                const status = response.statuses[libraryId] || {};
+                setCachedAdSaveStatus(libraryId, !!status.isSaved, !!status.isQueued);
+            }
+        }
+        return fromCache();
+    });
+}
+
+/**
+ * Records an ad's save status in this tab's cache.
+ * @param {string} libraryId - The library ID of the ad
+ * @param {boolean} isSaved - Whether it's saved
+ * @param {boolean} isQueued - Whether a save is waiting in the retry queue
+ */
+function setCachedAdSaveStatus(libraryId, isSaved, isQueued) {
+    adSaveStatusCache.set(libraryId, { isSaved, isQueued });
+}
+
+// Debouncer function to limit how often a function is called
+function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => {
+            clearTimeout(timeout);
+            func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+    };
+}
+
+/**
+ * Escapes text for use inside a regular expression.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Quotes text as an XPath string literal; labels like "dell'inserzione" contain apostrophes.
+ * @param {string} text
+ * @returns {string}
+ */
+function xpathStringLiteral(text) {
+    if (!text.includes("'")) return `'${text}'`;
+    if (!text.includes('"')) return `"${text}"`;
+    return `concat('${text.split("'").join(`', "'", '`)}')`;
+}
+
+/**
+ * Builds an XPath condition matching an expression against any of several labels.
+ * @param {string} expression - E.g. `normalize-space(.)`.
+ * @param {Array<string>} labels - The labels, e.g. one entry of the Meta labels in selectorConfig.
+ * @param {boolean} [prefix=false] - Match labels as prefixes instead of whole strings.
+ * @returns {string} The condition, in parentheses.
+ */
+function xpathMatchesAnyLabel(expression, labels, prefix = false) {
+    const conditions = labels.map(label => prefix
+        ? `starts-with(${expression}, ${xpathStringLiteral(label)})`
+        : `${expression}=${xpathStringLiteral(label)}`);
+    return `(${conditions.join(' or ')})`;
+}
+
+/**
+ * Extracts the Library ID from a given ad card element.
+ * @param {HTMLElement} adCardElement - The DOM element suspected to be an ad card.
+ * @returns {string|null} The extracted library ID, or null if not found.
+ */
+function extractFacebookLibraryId(adCardElement) {
+    const idElement = findFacebookLibraryIdElement(adCardElement);
+    return idElement ? parseFacebookLibraryId(idElement) : null;
+}
+
+/**
+ * Reads the Library ID out of a "Library ID: …" element, in any UI language.
+ * @param {HTMLElement} idElement - An element found by findFacebookLibraryIdElement.
+ * @returns {string|null} The library ID, or null if the text doesn't hold one.
+ */
+function parseFacebookLibraryId(idElement) {
+    const text = idElement.textContent.replace(/\s+/g, ' ').trim();
+    const match = text.match(fbLibraryIdRegex) || text.match(selectorPatterns.meta.libraryIdFallback);
+    return match ? match[1] : null;
+}
+
+/**
+ * Finds the element showing "Library ID: …" inside a Meta ad card or details modal.
+ * @param {HTMLElement} rootElement - The card or modal to search.
+ * @returns {HTMLElement|null} The element, or null if there is none.
+ */
+function findFacebookLibraryIdElement(rootElement) {
+    // XPath to find any element within rootElement that starts with a known "Library ID" label
+    // The leading '.' makes the XPath relative to rootElement
+    const xpathResult = document.evaluate(
+        `.//*[${xpathMatchesAnyLabel('normalize-space(.)', selectorConfig.platforms.meta.labels.libraryId, true)}]`,
+        rootElement,
+        null,
+        XPathResult.FIRST_ORDERED_NODE_TYPE,
+        null
+    );
+    if (xpathResult.singleNodeValue) {
+        return xpathResult.singleNodeValue;
+    }
+    return findFacebookLibraryIdElementsByPattern(rootElement)[0] || null;
+}
+
+/**
+ * Finds "<label>: <long number>" lines by their shape alone, for UI languages missing from the configured labels.
+ * @param {HTMLElement} rootElement - The element to search in.
+ * @returns {Array<HTMLElement>} The matching elements, in document order.
+ */
+function findFacebookLibraryIdElementsByPattern(rootElement) {
+    const idElements = [];
+    const walker = document.createTreeWalker(rootElement, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        // Label and number may be separate text nodes of the same element
+        const element = walker.currentNode.parentElement;
+        if (!element || idElements[idElements.length - 1] === element || !/\d{10}/.test(element.textContent)) continue;
+        if (selectorPatterns.meta.libraryIdFallback.test(element.textContent.replace(/\s+/g, ' ').trim())) {
+            idElements.push(element);
+        }
+    }
+    return idElements;
+}
+
+/**
+ * Returns the first element inside a root whose normalized text matches an XPath text condition.
+ * @param {HTMLElement} rootElement - The element to search in.
+ * @param {string} textCondition - An XPath condition on normalize-space(.), e.g. "starts-with(normalize-space(.), 'Platforms')".
+ * @returns {HTMLElement|null} The deepest matching element, or null.
+ */
+function findElementByText(rootElement, textCondition) {
+    // Match the innermost element so its textContent is just the label and value
+    const xpathResult = document.evaluate(
+        `.//*[${textCondition} and not(.//*[${textCondition}])]`,
+        rootElement,
+        null,
+        XPathResult.FIRST_ORDERED_NODE_TYPE,
+        null
+    );
+    return xpathResult.singleNodeValue;
+}
+
+/**
+ * Reads a date like "12 Mar 2025", "Mar 12, 2025", "12. März 2025" or "12 de mar de 2025" in any UI language
+ * with month names in the configured labels. Date.parse only understands English month names.
+ * @param {string} text - The date as shown on the card, without its label.
+ * @returns {string|null} The date as YYYY-MM-DD, or null if it couldn't be read.
+ */
+function parseFacebookStartedDate(text) {
+    // Month names are configured without accents, so "März" and "août" match "marz" and "aout"
+    const normalized = text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const dayMatch = normalized.match(/(?:^|\D)(\d{1,2})(?!\d)/);
+    const yearMatch = normalized.match(/(?:^|\D)(\d{4})(?!\d)/);
+    const words = normalized.match(/\p{L}+/gu) || [];
+    const { months } = selectorConfig.platforms.meta.labels;
+    const monthIndex = words.reduce((found, word) => found !== -1 ? found : months.findIndex(names => names.includes(word)), -1);
+    if (!dayMatch || !yearMatch || monthIndex === -1) return null;
+
+    const day = Number(dayMatch[1]);
+    if (day < 1 || day > 31) return null;
+    return `${yearMatch[1]}-${String(monthIndex + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Extracts the ad details shown on a Meta ad card, so the server doesn't have to re-scrape them.
+ * Every field is best effort and left null (or empty) when the card doesn't show it.
+ * @param {HTMLElement} adCardElement - The ad card element.
+ * @returns {object} The versioned metadata object sent with the save.
+ */
+function extractFacebookAdMetadata(adCardElement) {
+    const metaSelectors = selectorConfig.platforms.meta;
+    const textOf = element => (element && element.textContent.trim()) || null;
+
+    // Active/Inactive status badge
+    let status = null;
+    if (findElementByText(adCardElement, xpathMatchesAnyLabel('normalize-space(.)', metaSelectors.labels.active))) {
+        status = 'active';
+    } else if (findElementByText(adCardElement, xpathMatchesAnyLabel('normalize-space(.)', metaSelectors.labels.inactive))) {
+        status = 'inactive';
+    }
+
+    // "Started running on 12 Mar 2024"
+    const startedElement = findElementByText(adCardElement, xpathMatchesAnyLabel('normalize-space(.)', metaSelectors.labels.startedRunningOn, true));
+    const startedLabelRegex = new RegExp(`^\\s*(?:${metaSelectors.labels.startedRunningOn.map(escapeRegExp).join('|')})\\s*`);
+    const startedRunningOn = startedElement
+        ? startedElement.textContent.replace(startedLabelRegex, '').split('·')[0].trim() || null
+        : null;
+
+    // Platform icons sit next to the "Platforms" label and only describe themselves through aria-label/alt.
+    const platforms = [];
+    const platformsLabel = findElementByText(adCardElement, xpathMatchesAnyLabel('normalize-space(.)', metaSelectors.labels.platforms));
+    if (platformsLabel && platformsLabel.parentElement) {
+        for (const icon of platformsLabel.parentElement.querySelectorAll(metaSelectors.platformIcons)) {
+            const platform = (icon.getAttribute('aria-label') || icon.getAttribute('alt') || '').trim();
+            if (platform && !platforms.includes(platform)) platforms.push(platform);
+        }
+    }
+
+    // The advertiser name links to its Facebook page; the ad library itself is linked too, so skip that.
+    const advertiserLink = Array.from(adCardElement.querySelectorAll(metaSelectors.advertiserLink))
+        .find(link => !link.href.includes('/ads/library') && link.textContent.trim());
+
+    // Ad copy is rendered with pre-wrap so its line breaks show
+    const primaryTextElement = adCardElement.querySelector(metaSelectors.primaryText);
+
+    // The link preview under the creative holds the domain caption, headline and CTA button.
+    let headline = null;
+    let cta = null;
+    const linkPreview = adCardElement.querySelector(metaSelectors.linkPreview);
+    if (linkPreview) {
+        const ctaElement = linkPreview.querySelector(metaSelectors.linkPreviewCta);
+        cta = textOf(ctaElement);
+        const captions = Array.from(linkPreview.querySelectorAll('div, span'))
+            .filter(element => element.children.length === 0 && (!ctaElement || !ctaElement.contains(element)))
+            .map(element => element.textContent.trim())
+            .filter(text => text && text !== cta && !/^[A-Z0-9.-]+\.[A-Z]{2,}$/.test(text)); // Skip "EXAMPLE.COM"
+        headline = captions[0] || null;
+    }
+
+    // Media: creative images (not the small page avatar), videos and their poster frames
+    const images = Array.from(adCardElement.querySelectorAll('img'))
+        .filter(img => img.src && !img.src.startsWith('data:') && Math.max(img.naturalWidth, img.width) >= 100)
+        .map(img => img.src);
+    const videos = Array.from(adCardElement.querySelectorAll('video'))
+        .map(video => video.currentSrc || video.src)
+        .filter(src => src && !src.startsWith('blob:'));
+    const thumbnails = Array.from(adCardElement.querySelectorAll('video[poster]'))
+        .map(video => video.poster);
+
+    return {
+        version: FB_METADATA_VERSION,
+        advertiserName: textOf(advertiserLink),
+        advertiserUrl: advertiserLink ? advertiserLink.href : null,
+        primaryText: textOf(primaryTextElement),
+        headline,
+        cta,
+        startedRunningOn,
+        startedRunningOnDate: startedRunningOn ? parseFacebookStartedDate(startedRunningOn) : null,
+        status,
+        platforms,
+        media: {
+            images: [...new Set(images)],
+            videos: [...new Set(videos)],
+            thumbnails: [...new Set(thumbnails)]
+        }
+    };
+}
+
+/**
+ * Returns the theme-aware colours used by the save buttons.
+ * @returns {{isDarkMode: boolean, primaryColor: string, savedColor: string, queuedColor: string}}
+ */
+function getSaveButtonColors() {
+    // Determine if we're in dark mode
+    const isDarkMode = document.documentElement.classList.contains('dark') || 
+                      window.matchMedia('(prefers-color-scheme: dark)').matches;
+    
+    // Get the primary color based on theme
+    // Using the HSL values from user's CSS variables
+    const primaryColor = isDarkMode 
+        ? 'hsl(263.4, 70%, 50.4%)' // dark mode primary
+        : 'hsl(262.1, 83.3%, 57.8%)'; // light mode primary
+    const savedColor = isDarkMode ? 'hsl(150, 70%, 30%)' : 'hsl(150, 60%, 40%)'; // Green shade
+    const queuedColor = isDarkMode ? 'hsl(35, 80%, 40%)' : 'hsl(35, 90%, 48%)'; // Amber shade
+
+    return { isDarkMode, primaryColor, savedColor, queuedColor };
+}
+
+/**
+ * Creates a wrapper div that lays out the platform's own button and ours in a column.
+ * @returns {HTMLElement} The wrapper element.
+ */
+function createButtonWrapper() {
+    const flexColumnWrapper = document.createElement('div');
+    flexColumnWrapper.className = BUTTON_WRAPPER_CLASS;
+    flexColumnWrapper.style.display = 'flex';
+    flexColumnWrapper.style.flexDirection = 'column';
+    flexColumnWrapper.style.width = '100%';
+    flexColumnWrapper.style.gap = '8px'; // Space between buttons
+    return flexColumnWrapper;
+}
+
+/**
+ * Updates a save button's label, colours and clickability for a save state.
+ * @param {HTMLElement} saveButton - A button created by createSaveButton.
+ * @param {'idle'|'saving'|'saved'|'queued'|'failed'|'error'} state - The state to show.
+ */
+function setSaveButtonState(saveButton, state) {
+    const config = saveButtonConfigs.get(saveButton);
+    if (!config) return;
+    const { primaryColor, savedColor, queuedColor } = getSaveButtonColors();
+
+    saveButton.dataset.adSaverState = state;
+    saveButton.firstChild.textContent = SAVE_BUTTON_LABELS[state];
+    saveButton.className = state === 'saved' ? config.savedClass : config.saveClass;
+
+    if (state === 'saved') {
+        saveButton.style.backgroundColor = savedColor;
+    } else if (state === 'queued') {
+        saveButton.style.backgroundColor = queuedColor;
+    } else {
+        saveButton.style.backgroundColor = primaryColor;
+    }
+
+    // Saved ads are slightly less prominent; in-flight and failed saves are dimmed.
+    if (state === 'saved') {
+        saveButton.style.opacity = '0.85';
+    } else if (state === 'idle' || state === 'queued') {
+        saveButton.style.opacity = '1';
+    } else {
+        saveButton.style.opacity = '0.7';
+    }
+
+    // Queued saves can be retried by hand; everything except idle is otherwise inert.
+    const isClickable = state === 'idle' || state === 'queued';
+    saveButton.style.cursor = isClickable ? 'pointer' : 'default';
+    const optionsToggle = saveButton.querySelector('.' + SAVE_OPTIONS_TOGGLE_CLASS);
+    if (optionsToggle) {
+        optionsToggle.style.display = isClickable ? '' : 'none';
+    }
+    const secondaryAction = saveButton.querySelector('.' + SAVE_BUTTON_SECONDARY_ACTION_CLASS);
+    if (secondaryAction) {
+        secondaryAction.style.display = state === 'saved' ? '' : 'none';
+        secondaryAction.textContent = getSecondaryActionLabel(config);
+    }
+    if (isClickable) {
+        saveButton.removeAttribute('disabled');
+    } else {
+        saveButton.setAttribute('disabled', 'true');
+    }
+}
+
+/**
+ * Returns the label of the "Undo"/"Remove" control shown on a saved button.
+ * @param {object} config - The button's entry in saveButtonConfigs.
+ * @returns {string}
+ */
+function getSecondaryActionLabel(config) {
+    const now = Date.now();
+    if (config.undoUntil > now) return 'Undo';
+    if (config.confirmRemoveUntil > now) return 'Confirm remove?';
+    return 'Remove';
+}
+
+/**
+ * Re-renders a saved button once a timer runs out, so "Undo" and "Confirm remove?" revert to "Remove".
+ * @param {HTMLElement} saveButton - A button created by createSaveButton.
+ * @param {number} delay - Milliseconds to wait.
+ */
+function refreshSavedButtonLater(saveButton, delay) {
+    setTimeout(() => {
+        if (saveButton.dataset.adSaverState === 'saved') {
+            setSaveButtonState(saveButton, 'saved');
+        }
+    }, delay);
+}
+
+/**
+ * Returns every save button on the page for an ad.
+ * @param {string} libraryId - The library ID of the ad.
+ * @returns {Array<HTMLElement>} The matching buttons.
+ */
+function findSaveButtons(libraryId) {
+    return Array.from(document.querySelectorAll('[data-ad-saver-state]'))
+        .filter(button => button.dataset.adSaverLibraryId === libraryId);
+}
+
+/**
+ * Returns a save button together with every other button on the page for the same ad.
+ * @param {HTMLElement} saveButton - A button created by createSaveButton.
+ * @returns {Array<HTMLElement>} The button first, then the others.
+ */
+function getLinkedSaveButtons(saveButton) {
+    const { libraryId } = saveButtonConfigs.get(saveButton).saveData;
+    return [saveButton, ...findSaveButtons(libraryId).filter(button => button !== saveButton)];
+}
+
+/**
+ * Sends a save button's ad to the background script and reflects the outcome on the button.
+ * @param {HTMLElement} saveButton - A button created by createSaveButton.
+ * @param {object} [overrides] - Extra save data for this save only, e.g. `organizationId`.
+ * @returns {Promise<object>} The background response (`success`, `queued`, `message`, redirect hints).
+ */
+function requestAdSave(saveButton, overrides = {}) {
+    const { saveData: baseSaveData, getExtraSaveData } = saveButtonConfigs.get(saveButton);
+    // Details scraped from the card are read at save time, once lazy-loaded media has rendered.
+    const saveData = { ...baseSaveData, ...(getExtraSaveData ? getExtraSaveData() : {}), ...overrides };
+    // The same ad can have several buttons, e.g. its grid card and the open "See ad details" modal.
+    const saveButtons = getLinkedSaveButtons(saveButton);
+
+    // Disable buttons and show saving state
+    saveButtons.forEach(button => setSaveButtonState(button, 'saving'));
+
+    // Send data to background script to handle the save operation
+    return sendBackgroundMessage("saveAdViaSwipeFileTab", saveData).then((response) => {
+        if (!response) {
+            for (const button of saveButtons) {
+                setSaveButtonState(button, 'error');
+                resetFailedSaveButton(button);
+            }
+            return { success: false, message: 'Could not reach the extension.', communicationError: true };
+        }
+
+        if (response.success) {
+            console.log('[Ad Saver] Ad save initiated successfully via background:', response.data);
+            setCachedAdSaveStatus(saveData.libraryId, true, false);
+            for (const button of saveButtons) {
+                // Remember where it went so "Undo"/"Remove" delete it from the same organization
+                const config = saveButtonConfigs.get(button);
+                config.savedOrganizationId = response.organizationId;
+                config.undoUntil = Date.now() + UNDO_WINDOW_MS;
+                setSaveButtonState(button, 'saved');
+                refreshSavedButtonLater(button, UNDO_WINDOW_MS);
+            }
+        } else if (response.queued) {
+            console.warn('[Ad Saver] Save queued for retry:', response.message);
+            setCachedAdSaveStatus(saveData.libraryId, false, true);
+            saveButtons.forEach(button => setSaveButtonState(button, 'queued'));
+        } else {
+            console.error('[Ad Saver] Failed to save ad via background:', response);
+            for (const button of saveButtons) {
+                setSaveButtonState(button, 'failed');
+                resetFailedSaveButton(button);
+            }
+        }
+        return response;
+    });
+}
+
+/**
+ * Asks the background script to delete a saved ad from Swipe File and resets its buttons.
+ * @param {HTMLElement} saveButton - A saved button created by createSaveButton.
+ * @returns {Promise<object>} The background response (`success`, `message`, redirect hints).
+ */
+function requestAdRemoval(saveButton) {
+    const config = saveButtonConfigs.get(saveButton);
+    const saveButtons = getLinkedSaveButtons(saveButton);
+    saveButtons.forEach(button => setSaveButtonState(button, 'removing'));
+
+    return sendBackgroundMessage("unsaveAd", { ...config.saveData, organizationId: config.savedOrganizationId }).then((response) => {
+        if (!(response && response.success)) {
+            console.error('[Ad Saver] Failed to remove ad:', response);
+            saveButtons.forEach(button => setSaveButtonState(button, 'saved'));
+            return response || { success: false, message: 'Could not reach the extension.' };
+        }
+        setCachedAdSaveStatus(config.saveData.libraryId, false, false);
+        for (const button of saveButtons) {
+            const buttonConfig = saveButtonConfigs.get(button);
+            if (buttonConfig) {
+                buttonConfig.undoUntil = 0;
+                buttonConfig.confirmRemoveUntil = 0;
+            }
+            setSaveButtonState(button, 'idle');
+        }
+        return response;
+    });
+}
+
+/**
+ * Re-enables a failed save button after a short delay, unless its state changed in the meantime.
+ * @param {HTMLElement} saveButton - A button created by createSaveButton.
+ */
+function resetFailedSaveButton(saveButton) {
+    setTimeout(() => {
+        const state = saveButton.dataset.adSaverState;
+        if (state === 'failed' || state === 'error') {
+            setSaveButtonState(saveButton, 'idle');
+        }
+    }, 2000);
+}
+
+// --- Toast notifications ---
+// Rendered in a closed Shadow DOM so the ad library's CSS can't restyle or hide them.
+let toastContainer = null;
+
+const TOAST_STYLES = `
+    :host { all: initial; }
+    .stack {
+        position: fixed;
+        left: 16px;
+        bottom: 16px;
+        z-index: 2147483647;
+        display: flex;
+        flex-direction: column-reverse;
+        gap: 8px;
+        width: 340px;
+        max-width: calc(100vw - 32px);
+        font: 13px/1.4 system-ui, -apple-system, "Segoe UI", sans-serif;
+    }
+    .toast {
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        padding: 10px 12px;
+        border-left: 4px solid var(--accent);
+        border-radius: 0.5rem;
+        background: white;
+        color: hsl(224, 71%, 8%);
+        box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25);
+    }
+    .toast.success { --accent: hsl(150, 60%, 40%); }
+    .toast.info { --accent: hsl(262.1, 83.3%, 57.8%); }
+    .toast.warning { --accent: hsl(35, 90%, 48%); }
+    .toast.error { --accent: hsl(0, 72%, 51%); }
+    .row { display: flex; align-items: flex-start; gap: 8px; }
+    .message { flex: 1; word-break: break-word; }
+    .title { font-weight: bold; }
+    .close { border: none; background: none; cursor: pointer; font-size: 16px; line-height: 1; color: inherit; opacity: 0.6; }
+    .actions { display: flex; gap: 8px; }
+    .actions button {
+        border: none;
+        border-radius: 0.375rem;
+        padding: 4px 10px;
+        background: var(--accent);
+        color: white;
+        font: inherit;
+        font-weight: bold;
+        cursor: pointer;
+    }
+    @media (prefers-color-scheme: dark) {
+        .toast { background: hsl(224, 71%, 8%); color: white; }
+    }
+`;
+
+/**
+ * Returns the element toasts are stacked in, creating the Shadow DOM host on first use.
+ * @returns {HTMLElement}
+ */
+function getToastContainer() {
+    if (toastContainer && toastContainer.isConnected) {
+        return toastContainer;
+    }
+    const host = document.createElement('div');
+    host.id = TOAST_HOST_ID;
+    const shadowRoot = host.attachShadow({ mode: 'closed' });
+    const style = document.createElement('style');
+    style.textContent = TOAST_STYLES;
+    toastContainer = document.createElement('div');
+    toastContainer.className = 'stack';
+    toastContainer.setAttribute('role', 'status');
+    toastContainer.setAttribute('aria-live', 'polite');
+    shadowRoot.append(style, toastContainer);
+    document.body.appendChild(host);
+    return toastContainer;
+}
+
+/**
+ * Shows a non-blocking notification. Toasts stack, so parallel saves each get their own.
+ * @param {object} options
+ * @param {'success'|'info'|'warning'|'error'} options.type - Controls the colour and how long it stays.
+ * @param {string} options.message - The text to show.
+ * @param {string} [options.title] - Bold first line.
+ * @param {Array<{label: string, onClick: function(): void}>} [options.actions] - Buttons; clicking one also dismisses the toast.
+ * @param {number} [options.duration] - Milliseconds before it disappears; 0 keeps it until dismissed.
+ * @returns {function(): void} Dismisses the toast.
+ */
+function showToast({ type, message, title, actions = [], duration = TOAST_DURATION_MS[type] }) {
+    const container = getToastContainer();
+
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+
+    const row = document.createElement('div');
+    row.className = 'row';
+    const text = document.createElement('div');
+    text.className = 'message';
+    if (title) {
+        const titleElement = document.createElement('div');
+        titleElement.className = 'title';
+        titleElement.textContent = title;
+        text.appendChild(titleElement);
+    }
+    text.appendChild(document.createTextNode(message));
+    const closeButton = document.createElement('button');
+    closeButton.className = 'close';
+    closeButton.type = 'button';
+    closeButton.textContent = '×';
+    closeButton.setAttribute('aria-label', 'Dismiss');
+    row.append(text, closeButton);
+    toast.appendChild(row);
+
+    let timeout = null;
+    const dismiss = () => {
+        clearTimeout(timeout);
+        toast.remove();
+    };
+    closeButton.addEventListener('click', dismiss);
+
+    if (actions.length > 0) {
+        const actionRow = document.createElement('div');
+        actionRow.className = 'actions';
+        for (const action of actions) {
+            const actionButton = document.createElement('button');
+            actionButton.type = 'button';
+            actionButton.textContent = action.label;
+            actionButton.addEventListener('click', () => {
+                dismiss();
+                action.onClick();
+            });
+            actionRow.appendChild(actionButton);
+        }
+        toast.appendChild(actionRow);
+    }
+
+    // Pause the timer while hovered so there's time to reach an action
+    const startTimer = () => {
+        if (duration > 0) timeout = setTimeout(dismiss, duration);
+    };
+    toast.addEventListener('mouseenter', () => clearTimeout(timeout));
+    toast.addEventListener('mouseleave', startTimer);
+    startTimer();
+
+    container.appendChild(toast);
+    while (container.children.length > TOAST_LIMIT) {
+        container.firstElementChild.remove();
+    }
+    return dismiss;
+}
+
+/**
+ * Tells the user how removing a saved ad turned out.
+ * @param {object} response - The response resolved by requestAdRemoval.
+ * @param {HTMLElement} saveButton - The button the removal was made from.
+ */
+function reportRemovalOutcome(response, saveButton) {
+    if (response.success) {
+        showToast({ type: 'success', message: 'Ad removed from Swipe File.' });
+    } else if (response.redirectToLogin) {
+        showToast({
+            type: 'warning',
+            title: 'Login required',
+            message: 'Log in to Swipe File to remove saved ads.',
+            actions: [openSwipeFileAction],
+            duration: 0
+        });
+    } else {
+        showToast({
+            type: 'error',
+            title: 'Could not remove ad',
+            message: response.message || 'Unknown error',
+            actions: [{
+                label: 'Retry',
+                onClick: () => requestAdRemoval(saveButton).then(retryResponse => reportRemovalOutcome(retryResponse, saveButton))
+            }]
+        });
+    }
+}
+
+// Toast action that opens the Swipe File login page
+const openSwipeFileAction = { label: 'Open Swipe File', onClick: () => window.open(ADVERT_FARM_LOGIN_URL, '_blank') };
+
+/**
+ * Tells the user how a save turned out.
+ * @param {object} response - The response resolved by requestAdSave.
+ * @param {HTMLElement} saveButton - The button the save was made from.
+ * @param {object} [overrides] - The save options the save was made with, e.g. from the popover; Retry reuses them.
+ */
+function reportSaveOutcome(response, saveButton, overrides = {}) {
+    const retryAction = {
+        label: 'Retry',
+        onClick: () => requestAdSave(saveButton, overrides)
+            .then(retryResponse => reportSaveOutcome(retryResponse, saveButton, overrides))
+    };
+
+    if (response.communicationError) {
+        showToast({
+            type: 'error',
+            title: 'Could not save ad',
+            message: 'The extension could not be reached. Reload the page if this keeps happening.',
+            actions: [retryAction]
+        });
+    } else if (response.success) {
+        showToast({
+            type: 'success',
+            message: response.message || 'Ad successfully saved to Swipe File!',
+            actions: [
+                {
+                    label: 'Undo',
+                    onClick: () => requestAdRemoval(saveButton).then(removeResponse => reportRemovalOutcome(removeResponse, saveButton))
+                },
+                { label: 'View in Swipe File', onClick: () => window.open(ADVERT_FARM_INSPIRATION_URL, '_blank') }
+            ]
+        });
+    } else if (response.redirectToLogin) {
+        showToast({
+            type: 'warning',
+            title: 'Login required',
+            message: response.queued
+                ? 'Log in to Swipe File and the queued ad will be saved automatically.'
+                : 'You need to be logged into Swipe File to save ads.',
+            actions: [openSwipeFileAction],
+            duration: 0
+        });
+    } else if (response.selectOrganization) {
+        openSaveOptionsPopover(saveButton, 'Choose an organization to save this ad to.');
+    } else if (response.queued) {
+        showToast({
+            type: 'info',
+            title: 'Save queued',
+            message: `Could not reach Swipe File (${response.message}). The ad will be saved automatically.`
+        });
+    } else {
+        showToast({
+            type: 'error',
+            title: 'Failed to save ad',
+            message: response.message || 'Unknown error',
+            actions: [retryAction]
+        });
+    }
+}
+
+/**
+ * Asks the background script for the user's organizations.
+ * @returns {Promise<{organizations: Array<{id: string, name: string}>, selectedOrgId: string|null}>}
+ */
+function getOrganizations() {
+    return sendBackgroundMessage("getOrganizations", { refresh: true })
+        .then(response => response || { organizations: [], selectedOrgId: null });
+}
+
+/**
+ * Asks the background script for the collections of an organization and the tag suggestions.
+ * @param {string} organizationId - The organization whose collections to list.
+ * @returns {Promise<{collections: Array<{id: string, name: string}>, recentTags: Array<string>, defaultTags: Array<string>}>}
+ */
+function getSaveOptions(organizationId) {
+    return sendBackgroundMessage("getSaveOptions", { organizationId })
+        .then(response => response || { collections: [], recentTags: [], defaultTags: [] });
+}
+
+/**
+ * Removes the save options popover, if open.
+ */
+function closeSaveOptionsPopover() {
+    const popover = document.getElementById(SAVE_OPTIONS_POPOVER_ID);
+    if (popover) {
+        popover.remove();
+    }
+}
+
+/**
+ * Creates a labelled section for the save options popover.
+ * @param {string} labelText - The section label.
+ * @returns {HTMLElement} The section; append the field to it.
+ */
+function createPopoverSection(labelText) {
+    const section = document.createElement('div');
+    section.style.display = 'flex';
+    section.style.flexDirection = 'column';
+    section.style.gap = '4px';
+    const label = document.createElement('span');
+    label.textContent = labelText;
+    label.style.fontWeight = 'bold';
+    label.style.fontSize = '12px';
+    section.appendChild(label);
+    return section;
+}
+
+/**
+ * Creates a tag input that turns typed text into removable chips, suggesting recently used tags.
+ * @param {Array<string>} initialTags - Tags to start with.
+ * @param {Array<string>} recentTags - Suggestions for the autocomplete list.
+ * @returns {{element: HTMLElement, getTags: function(): Array<string>}}
+ */
+function createTagInput(initialTags, recentTags) {
+    const tags = [...initialTags];
+    const container = document.createElement('div');
+    container.style.display = 'flex';
+    container.style.flexWrap = 'wrap';
+    container.style.gap = '4px';
+
+    const chips = document.createElement('div');
+    chips.style.display = 'contents';
+
+    const datalist = document.createElement('datalist');
+    datalist.id = SAVE_OPTIONS_TAGS_DATALIST_ID;
+    for (const tag of recentTags) {
+        const option = document.createElement('option');
+        option.value = tag;
+        datalist.appendChild(option);
+    }
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'Add tag...';
+    input.setAttribute('list', SAVE_OPTIONS_TAGS_DATALIST_ID);
+    input.style.flex = '1';
+    input.style.minWidth = '80px';
+    input.style.padding = '4px';
+
+    const renderChips = () => {
+        chips.textContent = '';
+        for (const tag of tags) {
+            const chip = document.createElement('span');
+            chip.textContent = `${tag} ×`;
+            chip.title = 'Remove tag';
+            chip.style.padding = '2px 6px';
+            chip.style.borderRadius = '999px';
+            chip.style.backgroundColor = 'rgba(127, 127, 127, 0.2)';
+            chip.style.cursor = 'pointer';
+            chip.addEventListener('click', () => {
+                tags.splice(tags.indexOf(tag), 1);
+                renderChips();
+            });
+            chips.appendChild(chip);
+        }
+    };
+    const addTypedTag = () => {
+        const tag = input.value.replace(/,/g, '').trim();
+        if (tag && !tags.includes(tag)) {
+            tags.push(tag);
+            renderChips();
+        }
+        input.value = '';
+    };
+
+    // Enter or comma commits a tag; picking a suggestion fires "change"
+    input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ',') {
+            event.preventDefault();
+            addTypedTag();
+        }
+    });
+    input.addEventListener('change', addTypedTag);
+
+    renderChips();
+    container.append(chips, input, datalist);
+    return {
+        element: container,
+        getTags: () => {
+            addTypedTag(); // Don't lose a tag that was typed but not committed
+            return [...tags];
+        }
+    };
+}
+
+/**
+ * Fills the collection checkboxes of the save options popover.
+ * @param {HTMLElement} container - The element holding the checkboxes.
+ * @param {Array<{id: string, name: string}>} collections - The organization's collections.
+ */
+function renderCollectionOptions(container, collections) {
+    container.textContent = '';
+    if (collections.length === 0) {
+        container.textContent = 'No collections in this organization.';
+        return;
+    }
+    for (const collection of collections) {
+        const label = document.createElement('label');
+        label.style.display = 'flex';
+        label.style.alignItems = 'center';
+        label.style.gap = '6px';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = collection.id;
+        label.append(checkbox, collection.name);
+        container.appendChild(label);
+    }
+}
+
+/**
+ * Opens a popover under a save button for choosing the organization, collections, tags and note of this one save.
+ * @param {HTMLElement} saveButton - A button created by createSaveButton.
+ * @param {string} [notice] - A message shown above the options, e.g. why the popover was opened.
+ */
+async function openSaveOptionsPopover(saveButton, notice) {
+    closeSaveOptionsPopover();
+    const { isDarkMode, primaryColor } = getSaveButtonColors();
+    const buttonRect = saveButton.getBoundingClientRect();
+
+    const popover = document.createElement('div');
+    popover.id = SAVE_OPTIONS_POPOVER_ID;
+    popover.style.position = 'absolute';
+    popover.style.top = `${buttonRect.bottom + window.scrollY + 4}px`;
+    popover.style.left = `${buttonRect.left + window.scrollX}px`;
+    popover.style.width = `${Math.max(buttonRect.width, 280)}px`;
+    popover.style.boxSizing = 'border-box';
+    popover.style.zIndex = '2147483000';
+    popover.style.display = 'flex';
+    popover.style.flexDirection = 'column';
+    popover.style.gap = '10px';
+    popover.style.padding = '12px';
+    popover.style.borderRadius = '0.5rem';
+    popover.style.boxShadow = '0 4px 16px rgba(0, 0, 0, 0.25)';
+    popover.style.backgroundColor = isDarkMode ? 'hsl(224, 71%, 8%)' : 'white';
+    popover.style.color = isDarkMode ? 'white' : 'hsl(224, 71%, 8%)';
+    popover.style.fontSize = '13px';
+    // Keep clicks and typing inside the popover away from the card and page shortcuts underneath
+    popover.addEventListener('click', event => event.stopPropagation());
+    popover.addEventListener('keydown', event => event.stopPropagation());
+
+    const heading = document.createElement('strong');
+    heading.textContent = 'Save options';
+    popover.appendChild(heading);
+
+    if (notice) {
+        const noticeText = document.createElement('span');
+        noticeText.textContent = notice;
+        popover.appendChild(noticeText);
+    }
+
+    // Organization
+    const orgSection = createPopoverSection('Organization');
+    const orgSelect = document.createElement('select');
+    orgSelect.disabled = true;
+    orgSelect.style.padding = '4px';
+    const loadingOption = document.createElement('option');
+    loadingOption.textContent = 'Loading organizations...';
+    orgSelect.appendChild(loadingOption);
+
+    const defaultLabel = document.createElement('label');
+    defaultLabel.style.display = 'flex';
+    defaultLabel.style.alignItems = 'center';
+    defaultLabel.style.gap = '6px';
+    const defaultCheckbox = document.createElement('input');
+    defaultCheckbox.type = 'checkbox';
+    defaultLabel.append(defaultCheckbox, 'Use as my default organization');
+    orgSection.append(orgSelect, defaultLabel);
+    popover.appendChild(orgSection);
+
+    // Collections
+    const collectionsSection = createPopoverSection('Collections');
+    const collectionsList = document.createElement('div');
+    collectionsList.style.display = 'flex';
+    collectionsList.style.flexDirection = 'column';
+    collectionsList.style.gap = '2px';
+    collectionsList.style.maxHeight = '120px';
+    collectionsList.style.overflowY = 'auto';
+    collectionsList.textContent = 'Loading...';
+    collectionsSection.appendChild(collectionsList);
+    popover.appendChild(collectionsSection);
+
+    // Tags, filled in once the suggestions and defaults arrive
+    const tagsSection = createPopoverSection('Tags');
+    popover.appendChild(tagsSection);
+    let tagInput = null;
+
+    // Note
+    const noteSection = createPopoverSection('Note');
+    const noteInput = document.createElement('textarea');
+    noteInput.rows = 3;
+    noteInput.placeholder = 'Why is this ad worth keeping?';
+    noteInput.style.padding = '4px';
+    noteInput.style.resize = 'vertical';
+    noteSection.appendChild(noteInput);
+    popover.appendChild(noteSection);
+
+    const confirmButton = document.createElement('button');
+    confirmButton.type = 'button';
+    confirmButton.textContent = 'Save Ad';
+    confirmButton.disabled = true;
+    confirmButton.style.backgroundColor = primaryColor;
+    confirmButton.style.color = 'white';
+    confirmButton.style.border = 'none';
+    confirmButton.style.borderRadius = '0.5rem';
+    confirmButton.style.padding = '6px 10px';
+    confirmButton.style.fontWeight = 'bold';
+    confirmButton.style.cursor = 'pointer';
+    confirmButton.addEventListener('click', async () => {
+        const organizationId = orgSelect.value;
+        const makeDefault = defaultCheckbox.checked;
+        const saveOptions = {
+            organizationId,
+            collectionIds: Array.from(collectionsList.querySelectorAll('input:checked')).map(input => input.value),
+            tags: tagInput ? tagInput.getTags() : undefined, // Left out, the background applies the default tags
+            note: noteInput.value.trim()
+        };
+        closeSaveOptionsPopover();
+
+        const response = await requestAdSave(saveButton, saveOptions);
+        // Set the default after the save so a queue retry doesn't save the same ad a second time
+        if (makeDefault) {
+            sendBackgroundMessage("setSelectedOrg", { organizationId });
+        }
+        reportSaveOutcome(response, saveButton, saveOptions);
+    });
+    popover.appendChild(confirmButton);
+
+    document.body.appendChild(popover);
+
+    const closeOnOutsideClick = (event) => {
+        if (!popover.isConnected) {
+            document.removeEventListener('mousedown', closeOnOutsideClick, true);
+        } else if (!popover.contains(event.target) && !saveButton.contains(event.target)) {
+            closeSaveOptionsPopover();
+            document.removeEventListener('mousedown', closeOnOutsideClick, true);
+        }
+    };
+    document.addEventListener('mousedown', closeOnOutsideClick, true);
+
+    const { organizations, selectedOrgId } = await getOrganizations();
+    if (!popover.isConnected) return;
+
+    orgSelect.textContent = '';
+    if (organizations.length === 0) {
+        const emptyOption = document.createElement('option');
+        emptyOption.textContent = 'No organizations found. Are you logged in?';
+        orgSelect.appendChild(emptyOption);
+        collectionsList.textContent = '';
+        return;
+    }
+    for (const org of organizations) {
+        const option = document.createElement('option');
+        option.value = org.id;
+        option.textContent = org.name;
+        option.selected = org.id === selectedOrgId;
+        orgSelect.appendChild(option);
+    }
+    orgSelect.disabled = false;
+    defaultCheckbox.checked = !selectedOrgId;
+
+    // Collections belong to an organization, so reload them when it changes
+    const loadOptionsForOrg = async () => {
+        collectionsList.textContent = 'Loading...';
+        const { collections, recentTags, defaultTags } = await getSaveOptions(orgSelect.value);
+        if (!popover.isConnected) return;
+        renderCollectionOptions(collectionsList, collections);
+        if (!tagInput) {
+            tagInput = createTagInput(defaultTags, recentTags);
+            tagsSection.appendChild(tagInput.element);
+        }
+    };
+    orgSelect.addEventListener('change', loadOptionsForOrg);
+    await loadOptionsForOrg();
+    // Only now is there a tag field holding the default tags
+    confirmButton.disabled = false;
+}
+
+/**
+ * Creates a "Save Ad to Swipe File" button wired to the background save flow.
+ * Every platform adapter uses this so the saved, queued, saving and failed states behave the same.
+ * @param {object} options
+ * @param {object} options.saveData - Data sent with the "saveAdViaSwipeFileTab" message; must include libraryId.
+ * @param {function(): object} [options.getExtraSaveData] - Returns more save data, called each time the ad is saved.
+ * @param {{isSaved: boolean, isQueued: boolean}} options.saveStatus - The ad's current status from getAdSaveStatus.
+ * @param {string} options.saveClass - Class name for the unsaved state.
+ * @param {string} options.savedClass - Class name for the saved state.
+ * @returns {HTMLElement} The save button element. Callers are responsible for sizing and placement.
+ */
+function createSaveButton({ saveData, getExtraSaveData, saveStatus, saveClass, savedClass }) {
+    const saveButton = document.createElement('div');
+    saveButton.setAttribute('role', 'button');
+    saveButton.dataset.adSaverLibraryId = saveData.libraryId;
+    saveButtonConfigs.set(saveButton, { saveData, getExtraSaveData, saveClass, savedClass });
+
+    const textSpan = document.createElement('span');
+    textSpan.style.fontWeight = 'bold';
+    saveButton.appendChild(textSpan);
+
+    // Opens the organization chooser instead of saving straight away
+    const optionsToggle = document.createElement('span');
+    optionsToggle.className = SAVE_OPTIONS_TOGGLE_CLASS;
+    optionsToggle.textContent = '▾';
+    optionsToggle.title = 'Choose organization, collections, tags and note';
+    optionsToggle.style.marginLeft = '8px';
+    optionsToggle.style.paddingLeft = '8px';
+    optionsToggle.style.borderLeft = '1px solid rgba(255, 255, 255, 0.5)';
+    optionsToggle.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+
+        if (saveButton.hasAttribute('disabled')) return;
+        openSaveOptionsPopover(saveButton);
+    });
+    saveButton.appendChild(optionsToggle);
+
+    // "Undo" right after saving, "Remove" (with a confirming second click) after that
+    const secondaryAction = document.createElement('span');
+    secondaryAction.className = SAVE_BUTTON_SECONDARY_ACTION_CLASS;
+    secondaryAction.style.marginLeft = '8px';
+    secondaryAction.style.paddingLeft = '8px';
+    secondaryAction.style.borderLeft = '1px solid rgba(255, 255, 255, 0.5)';
+    secondaryAction.style.textDecoration = 'underline';
+    secondaryAction.style.cursor = 'pointer';
+    secondaryAction.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+
+        if (saveButton.dataset.adSaverState !== 'saved') return;
+        const config = saveButtonConfigs.get(saveButton);
+        if (getSecondaryActionLabel(config) === 'Remove') {
+            config.confirmRemoveUntil = Date.now() + REMOVE_CONFIRM_MS;
+            setSaveButtonState(saveButton, 'saved');
+            refreshSavedButtonLater(saveButton, REMOVE_CONFIRM_MS);
+            return;
+        }
+        requestAdRemoval(saveButton).then(response => reportRemovalOutcome(response, saveButton));
+    });
+    saveButton.appendChild(secondaryAction);
+
+    if (saveStatus.isSaved) {
+        // Another button for this ad (e.g. its grid card) knows which organization it was saved to
+        const linkedButton = findSaveButtons(saveData.libraryId).find(button => button.dataset.adSaverState === 'saved');
+        if (linkedButton) {
+            saveButtonConfigs.get(saveButton).savedOrganizationId = saveButtonConfigs.get(linkedButton).savedOrganizationId;
+        }
+        setSaveButtonState(saveButton, 'saved');
+    } else if (saveStatus.isQueued) {
+        setSaveButtonState(saveButton, 'queued');
+    } else {
+        setSaveButtonState(saveButton, 'idle');
+    }
+
+    saveButton.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+
+        if (saveButton.hasAttribute('disabled')) return;
+        requestAdSave(saveButton).then(response => reportSaveOutcome(response, saveButton));
+    });
+
+    // Focusable so keyboard users can tab to it (and the save shortcut knows which card is focused)
+    saveButton.tabIndex = 0;
+    saveButton.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            saveButton.click();
+        }
+    });
+    
+    // Common styling for every state
+    saveButton.style.color = 'white';
+    saveButton.style.border = 'none';
+    saveButton.style.borderRadius = 'var(--radius, 0.5rem)';
+    saveButton.style.width = '100%';
+    saveButton.style.display = 'flex';
+    saveButton.style.justifyContent = 'center';
+    saveButton.style.alignItems = 'center';
+    saveButton.style.boxSizing = 'border-box';
+
+    return saveButton;
+}
+
+/**
+ * Creates and injects a "Save Ad to Swipe File" button below the original Meta button.
+ * @param {HTMLElement} originalButtonElement - The original Meta button element (div[role="button"]).
+ * @param {string} libraryId - The library ID for this ad.
+ * @param {HTMLElement} adCardElement - The ad card the button belongs to.
+ * @param {{isSaved: boolean, isQueued: boolean}} saveStatus - The ad's save status.
+ */
+function addFacebookSaveButtonToAd(originalButtonElement, libraryId, adCardElement, saveStatus) {
+    // Get the parent container of the original button
+    const parentContainer = originalButtonElement.parentElement;
+    if (!parentContainer) return;
+
+    // Check if our button wrapper already exists (avoids duplicates)
+    if (parentContainer.querySelector('.' + BUTTON_WRAPPER_CLASS)) {
+        return;
+    }
+
+    const flexColumnWrapper = createButtonWrapper();
+
+    const saveButton = createSaveButton({
+        saveData: { libraryId, library: 'meta' },
+        getExtraSaveData: () => ({ metadata: extractFacebookAdMetadata(adCardElement) }),
+        saveStatus,
+        saveClass: FB_SAVE_BUTTON_CLASS,
+        savedClass: FB_SAVED_BUTTON_CLASS
+    });
+    saveButton.style.padding = originalButtonElement.style.padding || '0px';
+    saveButton.style.height = originalButtonElement.offsetHeight + 'px';
+    
+    // Replace the original button with our wrapper
+    parentContainer.insertBefore(flexColumnWrapper, originalButtonElement);
+    
+    // Move the original button into our wrapper as the first child
+    flexColumnWrapper.appendChild(originalButtonElement);
+    
+    // Add our save button as the second child
+    flexColumnWrapper.appendChild(saveButton);
+
+    // Cards loaded by infinite scroll while selecting get a checkbox too
+    if (isBulkSelectMode) {
+        addBulkSelectCheckbox(adCardElement);
+    }
+    if (newFacebookAdIds.has(libraryId)) {
+        addNewAdBadge(adCardElement);
+    }
+}
+
+// Whether any known "See ad details" label has been seen; until then the UI language may be missing from the configured labels.
+let hasFoundFacebookDetailLabels = false;
+
+// Labels found before their card's Library ID rendered; re-checked on every scan until resolved or removed
+const unresolvedFacebookDetailLabels = new Set();
+
+/**
+ * Finds ad cards, extracts their IDs, and queues them for "Save Ad" buttons.
+ * @param {Array<Element>} [rootElements] - Subtrees to scan; defaults to the whole page.
+ */
+function findAndProcessFacebookAds(rootElements = [document.body]) {
+    // console.log('[Ad Saver] Scanning for ads...');
+    refreshFacebookWatch(); // The search or advertiser may have changed without a page load
+    const { labels } = selectorConfig.platforms.meta;
+    const detailButtonLabels = [...labels.seeAdDetails, ...labels.seeSummaryDetails];
+    const detailButtonXPath = `descendant-or-self::div[${xpathMatchesAnyLabel('normalize-space(text())', detailButtonLabels)}]`;
+
+    // Only added subtrees are scanned, so a label seen before its card's Library ID is re-checked here
+    const detailButtonTextElements = [];
+    for (const textElement of unresolvedFacebookDetailLabels) {
+        if (textElement.isConnected) {
+            detailButtonTextElements.push(textElement);
+        }
+    }
+    unresolvedFacebookDetailLabels.clear();
+
+    for (const rootElement of rootElements) {
+        // Find all <div> elements containing the text "See ad details" OR "See summary details", in any known language.
+        const snapshot = document.evaluate(
+            detailButtonXPath,
+            rootElement,
+            null,
+            XPathResult.UNORDERED_NODE_SNAPSHOT_TYPE,
+            null
+        );
+        if (snapshot.snapshotLength > 0) {
+            hasFoundFacebookDetailLabels = true;
+        }
+        for (let i = 0; i < snapshot.snapshotLength; i++) {
+            detailButtonTextElements.push(snapshot.snapshotItem(i));
+        }
+    }
+
+    // console.log(`[Ad Saver] Found ${detailButtonTextElements.length} potential detail button texts.`);
+    // A label can be both unresolved and inside a new root
+    processFacebookDetailButtonTexts(new Set(detailButtonTextElements));
+
+    // No known label on the page: the UI language isn't in the configured labels.
+    // This path needs every ID on the page to tell cards apart, so it always scans the whole page.
+    if (!hasFoundFacebookDetailLabels) {
+        findAndProcessFacebookAdsByStructure();
+    }
+
+    findAndProcessFacebookAdDetails();
+    addFacebookSingleAdSaveButton();
+}
+
+/**
+ * Finds the ad card around each "See ad details" label and queues it for a save button.
+ * Labels whose card has no Library ID yet are kept for the next scan.
+ * @param {Iterable<Element>} detailButtonTextElements - The label elements.
+ */
+function processFacebookDetailButtonTexts(detailButtonTextElements) {
+    for (const textElement of detailButtonTextElements) {
+        // The actual clickable button is an ancestor div with role="button"
+        const clickableButtonElement = textElement.closest(selectorConfig.platforms.meta.button);
+
+        if (!clickableButtonElement) {
+            // console.warn('[Ad Saver] Could not find parent div[role="button"] for text:', textElement.textContent.trim(), textElement);
+            recordSelectorMatch(textElement, false);
+            continue;
+        }
+
+        // Determine the "ad card" element, which is an ancestor of the clickableButtonElement
+        // and should contain the "Library ID:" text.
+        let adCardElement = null;
+        let currentAncestor = clickableButtonElement.parentElement;
+        // Increase search depth if necessary, 10 levels should typically be enough.
+        for (let j = 0; j < 10; j++) {
+            if (!currentAncestor) break;
+            // Check if this ancestor contains the Library ID text; the digit test skips the XPath on most levels
+            if (/\d{10}/.test(currentAncestor.textContent) && extractFacebookLibraryId(currentAncestor)) {
+                 adCardElement = currentAncestor;
+                 break;
+            }
+            currentAncestor = currentAncestor.parentElement;
+        }
+
+        if (!adCardElement) {
+            // console.warn('[Ad Saver] Could not identify a suitable ad card container for button:', clickableButtonElement);
+            recordSelectorMatch(textElement, false);
+            unresolvedFacebookDetailLabels.add(textElement);
+            continue;
+        }
+
+        recordSelectorMatch(textElement, true);
+        processFacebookAdCard(clickableButtonElement, adCardElement);
+    }
+}
+
+/**
+ * Queues an ad card for a save button next to its details button, once per card.
+ * The button is injected when the card nears the viewport (see facebookCardVisibilityObserver).
+ * @param {HTMLElement} clickableButtonElement - The card's "See ad details" button.
+ * @param {HTMLElement} adCardElement - The card containing it and the Library ID.
+ */
+function processFacebookAdCard(clickableButtonElement, adCardElement) {
+    // Check if this ad card has already been processed (or queued) by our extension
+    if (adCardElement.classList.contains(FB_PROCESSED_MARKER_CLASS) || adCardElement.classList.contains(FB_PENDING_MARKER_CLASS)) {
+        // console.log('[Ad Saver] Ad card already processed, skipping button addition for ID (if any):', adCardElement);
+        return;
+    }
+
+    const libraryId = extractFacebookLibraryId(adCardElement); // Re-extract from the confirmed adCardElement
+
+    if (libraryId) {
+        // console.log('[Ad Saver] Queueing button for Library ID:', libraryId, 'on card:', adCardElement);
+        pendingFacebookCards.set(adCardElement, { clickableButtonElement, libraryId }); // Keep the Meta button, not the ad card
+        adCardElement.classList.add(FB_PENDING_MARKER_CLASS);
+        facebookCardVisibilityObserver.observe(adCardElement);
+        trackWatchedFacebookCard(libraryId, adCardElement);
+    } else {
+        // console.warn('[Ad Saver] Could not find Library ID in identified ad card:', adCardElement, 'associated with button:', clickableButtonElement);
+    }
+}
+
+/**
+ * Finds ad cards without relying on button labels: starts from each "<label>: <long number>" line,
+ * takes the largest ancestor that holds no other ad's ID as the card, and the first button below
+ * the ID (the details button) as the anchor for the save button.
+ */
+function findAndProcessFacebookAdsByStructure() {
+    const metaSelectors = selectorConfig.platforms.meta;
+    const idElements = findFacebookLibraryIdElementsByPattern(document.body);
+    const idElementAncestors = mapFacebookIdElementAncestors(idElements);
+
+    for (const idElement of idElements) {
+        if (idElement.closest(`.${FB_PROCESSED_MARKER_CLASS}, .${FB_PENDING_MARKER_CLASS}, ${metaSelectors.detailsDialog}`)) continue;
+
+        let adCardElement = null;
+        let currentAncestor = idElement.parentElement;
+        for (let j = 0; j < 10 && currentAncestor; j++) {
+            const ancestor = currentAncestor;
+            if (idElementAncestors.get(ancestor) !== idElement) break; // Reached the grid
+            adCardElement = ancestor;
+            currentAncestor = ancestor.parentElement;
+        }
+        if (!adCardElement) continue;
+
+        const clickableButtonElement = Array.from(adCardElement.querySelectorAll(metaSelectors.button)).find(button =>
+            (idElement.compareDocumentPosition(button) & Node.DOCUMENT_POSITION_FOLLOWING) &&
+            !button.closest('a, .' + BUTTON_WRAPPER_CLASS) &&
+            button.textContent.trim()
+        );
+        const hasButton = !!(clickableButtonElement && clickableButtonElement.parentElement);
+        recordSelectorMatch(idElement, hasButton);
+        if (hasButton) {
+            processFacebookAdCard(clickableButtonElement, adCardElement);
+        }
+    }
+}
+
+/**
+ * Maps each ancestor of the given ID lines to the one ID line it holds,
+ * or to FB_SEVERAL_ID_ELEMENTS if it holds more than one.
+ * @param {Array<HTMLElement>} idElements - The ID lines of a scan.
+ * @returns {Map<Element, HTMLElement|symbol>}
+ */
+function mapFacebookIdElementAncestors(idElements) {
+    const idElementAncestors = new Map();
+    for (const idElement of idElements) {
+        for (let ancestor = idElement.parentElement; ancestor; ancestor = ancestor.parentElement) {
+            const known = idElementAncestors.get(ancestor);
+            if (known === FB_SEVERAL_ID_ELEMENTS) break; // So do all ancestors further up
+            idElementAncestors.set(ancestor, known === undefined ? idElement : FB_SEVERAL_ID_ELEMENTS);
+        }
+    }
+    return idElementAncestors;
+}
+
+// Cards found by a scan but not yet near the viewport, with what's needed to inject their button
+const pendingFacebookCards = new WeakMap();
+
+/**
+ * Injects save buttons into queued cards, looking up their saved state in one go.
+ * @param {Array<HTMLElement>} adCardElements - Cards queued by processFacebookAdCard.
+ * @returns {Promise<void>}
+ */
+async function injectPendingFacebookSaveButtons(adCardElements) {
+    const cards = adCardElements
+        .filter(adCardElement => pendingFacebookCards.has(adCardElement))
+        .map(adCardElement => ({ adCardElement, ...pendingFacebookCards.get(adCardElement) }));
+    cards.forEach(({ adCardElement }) => {
+        pendingFacebookCards.delete(adCardElement);
+        facebookCardVisibilityObserver.unobserve(adCardElement);
+    });
+    if (cards.length === 0) return;
+
+    const saveStatuses = await getAdSaveStatuses(cards.map(card => card.libraryId));
+    for (const { adCardElement, clickableButtonElement, libraryId } of cards) {
+        adCardElement.classList.remove(FB_PENDING_MARKER_CLASS);
+        if (!adCardElement.isConnected) continue; // Scrolled away and recycled by Meta meanwhile
+
+        addFacebookSaveButtonToAd(clickableButtonElement, libraryId, adCardElement, saveStatuses[libraryId]);
+        adCardElement.classList.add(FB_PROCESSED_MARKER_CLASS); // Mark this ad card as processed
+        applyAutoSaveRules(adCardElement);
+    }
+}
+
+/**
+ * Injects save buttons into every queued card, wherever it is on the page.
+ * Used before acting on "all loaded" ads.
+ * @returns {Promise<void>}
+ */
+function flushPendingFacebookSaveButtons() {
+    return injectPendingFacebookSaveButtons(Array.from(document.querySelectorAll('.' + FB_PENDING_MARKER_CLASS)));
+}
+
+// Cards entering (or nearing) the viewport together get their buttons in one batch
+const facebookCardVisibilityObserver = new IntersectionObserver((entries) => {
+    const visibleCards = entries.filter(entry => entry.isIntersecting).map(entry => entry.target);
+    injectPendingFacebookSaveButtons(visibleCards);
+}, { rootMargin: FB_VISIBILITY_ROOT_MARGIN });
+
+// Subtrees added since the last scan; only these are searched for new cards
+const pendingFacebookScanRoots = new Set();
+
+const debouncedProcessFacebookAds = debounce(() => {
+    const rootElements = Array.from(pendingFacebookScanRoots)
+        .filter(rootElement => rootElement.isConnected);
+    pendingFacebookScanRoots.clear();
+    // Nested roots are covered by their outermost ancestor
+    const outermostRoots = rootElements.filter(rootElement =>
+        !rootElements.some(other => other !== rootElement && other.contains(rootElement)));
+    findAndProcessFacebookAds(outermostRoots);
+}, 500); // Debounce to avoid too many calls
+
+const facebookObserver = new MutationObserver((mutationsList) => {
+    for (const mutation of mutationsList) {
+        // We are interested in changes where new nodes are added to the DOM.
+        if (mutation.type !== 'childList') continue;
+        for (const addedNode of mutation.addedNodes) {
+            // Text nodes are scanned through their element, e.g. a label rendered into an existing button
+            const rootElement = addedNode.nodeType === Node.ELEMENT_NODE ? addedNode : addedNode.parentElement;
+            // Our own buttons, toolbar and toasts never contain new cards
+            if (!rootElement || rootElement.closest(`.${BUTTON_WRAPPER_CLASS}, #${BULK_TOOLBAR_ID}, #${TOAST_HOST_ID}`)) continue;
+            pendingFacebookScanRoots.add(rootElement);
+        }
+    }
+    if (pendingFacebookScanRoots.size > 0) {
+        debouncedProcessFacebookAds();
+    }
+});
+
+// --- "See ad details" modals and single-ad pages on the Meta Ad Library ---
+
+/**
+ * Adds a save button to every open "See ad details" modal, right below its Library ID.
+ * Modals are reused when paging between ads, so a button for a different ad is replaced.
+ */
+function findAndProcessFacebookAdDetails() {
+    for (const dialogElement of document.querySelectorAll(selectorConfig.platforms.meta.detailsDialog)) {
+        const libraryId = extractFacebookLibraryId(dialogElement);
+        const existingWrapper = dialogElement.querySelector('.' + FB_DETAILS_WRAPPER_CLASS);
+        if (existingWrapper && existingWrapper.dataset.adSaverDetailsId === libraryId) continue;
+        if (existingWrapper) existingWrapper.remove();
+        if (!libraryId) continue;
+
+        addFacebookDetailsSaveButton(dialogElement, libraryId);
+        dialogElement.classList.add(FB_DETAILS_PROCESSED_MARKER_CLASS);
+    }
+}
+
+/**
+ * Inserts a save button for an ad into its details modal.
+ * @param {HTMLElement} dialogElement - The modal (`div[role="dialog"]`).
+ * @param {string} libraryId - The Library ID shown in the modal.
+ */
+async function addFacebookDetailsSaveButton(dialogElement, libraryId) {
+    const idElement = findFacebookLibraryIdElement(dialogElement);
+    if (!idElement) return;
+
+    // Placed synchronously so the next scan sees it and doesn't add a second one
+    const wrapper = createButtonWrapper();
+    wrapper.classList.add(FB_DETAILS_WRAPPER_CLASS);
+    wrapper.dataset.adSaverDetailsId = libraryId;
+    wrapper.style.margin = '8px 0';
+    idElement.insertAdjacentElement('afterend', wrapper);
+
+    const saveStatus = await getAdSaveStatus(libraryId);
+    if (!wrapper.isConnected) return; // Modal closed or moved on to another ad meanwhile
+
+    const saveButton = createSaveButton({
+        saveData: { libraryId, library: 'meta' },
+        getExtraSaveData: () => ({ metadata: extractFacebookAdMetadata(dialogElement) }),
+        saveStatus,
+        saveClass: FB_SAVE_BUTTON_CLASS,
+        savedClass: FB_SAVED_BUTTON_CLASS
+    });
+    saveButton.style.padding = '8px 12px';
+    wrapper.appendChild(saveButton);
+}
+
+/**
+ * On a single-ad page (`/ads/library/?id=…`) puts a save button for that ad in the toolbar,
+ * so it can be saved even before its card or details modal has rendered.
+ */
+async function addFacebookSingleAdSaveButton() {
+    const toolbar = document.getElementById(BULK_TOOLBAR_ID);
+    if (!toolbar) return;
+
+    const libraryId = new URLSearchParams(window.location.search).get('id');
+    const existingSlot = toolbar.querySelector('[data-role="single-ad"]');
+    if (existingSlot && existingSlot.dataset.adSaverSingleAdId === libraryId) return;
+    if (existingSlot) existingSlot.remove(); // Navigated to another ad or back to search results
+    if (!libraryId || !/^\d+$/.test(libraryId)) return;
+
+    const slot = document.createElement('div');
+    slot.dataset.role = 'single-ad';
+    slot.dataset.adSaverSingleAdId = libraryId;
+    slot.style.flexBasis = '100%';
+    slot.style.display = 'flex';
+    slot.style.flexDirection = 'column';
+    slot.style.gap = '4px';
+    const caption = document.createElement('span');
+    caption.textContent = `This ad (Library ID ${libraryId})`;
+    slot.appendChild(caption);
+    toolbar.prepend(slot);
+
+    const saveStatus = await getAdSaveStatus(libraryId);
+    if (!slot.isConnected) return;
+
+    const saveButton = createSaveButton({
+        saveData: { libraryId, library: 'meta' },
+        // Scrape details from the modal when it's open; the ID alone is enough to save
+        getExtraSaveData: () => {
+            const dialogElement = Array.from(document.querySelectorAll('.' + FB_DETAILS_PROCESSED_MARKER_CLASS))
+                .find(element => extractFacebookLibraryId(element) === libraryId);
+            return dialogElement ? { metadata: extractFacebookAdMetadata(dialogElement) } : {};
+        },
+        saveStatus,
+        saveClass: FB_SAVE_BUTTON_CLASS,
+        savedClass: FB_SAVED_BUTTON_CLASS
+    });
+    saveButton.style.padding = '6px 10px';
+    slot.appendChild(saveButton);
+}
+
+// --- Bulk select and save on the Meta Ad Library ---
+let isBulkSelectMode = false;
+let isBulkSaveRunning = false;
+let isBulkSaveStopRequested = false;
+const bulkSelectedLibraryIds = new Set();
+
+/**
+ * Returns the processed Meta ad cards that have a save button.
+ * @returns {Array<{adCardElement: HTMLElement, saveButton: HTMLElement, libraryId: string}>}
+ */
+function getProcessedFacebookCards() {
+    const cards = [];
+    for (const adCardElement of document.querySelectorAll('.' + FB_PROCESSED_MARKER_CLASS)) {
+        const saveButton = adCardElement.querySelector('[data-ad-saver-state]');
+        if (saveButton) {
+            cards.push({ adCardElement, saveButton, libraryId: saveButton.dataset.adSaverLibraryId });
+        }
+    }
+    return cards;
+}
+
+/**
+ * Adds a selection checkbox above the save button of a Meta ad card.
+ * Already-saved ads get a disabled checkbox, since bulk save skips them.
+ * @param {HTMLElement} adCardElement - A processed ad card.
+ */
+function addBulkSelectCheckbox(adCardElement) {
+    const wrapper = adCardElement.querySelector('.' + BUTTON_WRAPPER_CLASS);
+    const saveButton = wrapper && wrapper.querySelector('[data-ad-saver-state]');
+    if (!saveButton || wrapper.querySelector('.' + BULK_CHECKBOX_CLASS)) return;
+
+    const libraryId = saveButton.dataset.adSaverLibraryId;
+    const isSaved = saveButton.dataset.adSaverState === 'saved';
+
+    const label = document.createElement('label');
+    label.className = BULK_CHECKBOX_CLASS;
+    label.style.display = 'flex';
+    label.style.alignItems = 'center';
+    label.style.gap = '6px';
+    label.style.fontSize = '13px';
+    label.style.cursor = isSaved ? 'default' : 'pointer';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.disabled = isSaved;
+    checkbox.checked = !isSaved && bulkSelectedLibraryIds.has(libraryId);
+    checkbox.addEventListener('click', event => event.stopPropagation());
+    checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+            bulkSelectedLibraryIds.add(libraryId);
+        } else {
+            bulkSelectedLibraryIds.delete(libraryId);
+        }
+        updateBulkToolbar();
+    });
+
+    const text = document.createElement('span');
+    text.textContent = isSaved ? 'Already saved' : 'Select for bulk save';
+
+    label.appendChild(checkbox);
+    label.appendChild(text);
+    wrapper.insertBefore(label, saveButton);
+}
+
+/**
+ * Turns select mode on or off, adding or removing the per-card checkboxes.
+ * @param {boolean} enabled - Whether select mode should be on.
+ */
+function setBulkSelectMode(enabled) {
+    isBulkSelectMode = enabled;
+    if (enabled) {
+        for (const { adCardElement } of getProcessedFacebookCards()) {
+            addBulkSelectCheckbox(adCardElement);
+        }
+    } else {
+        bulkSelectedLibraryIds.clear();
+        document.querySelectorAll('.' + BULK_CHECKBOX_CLASS).forEach(label => label.remove());
+    }
+    updateBulkToolbar();
+}
+
+/**
+ * Selects every loaded ad that isn't saved yet.
+ */
+async function selectAllLoadedAds() {
+    // Cards further down haven't got their buttons yet
+    await flushPendingFacebookSaveButtons();
+    for (const { adCardElement, saveButton, libraryId } of getProcessedFacebookCards()) {
+        if (saveButton.dataset.adSaverState === 'saved') continue;
+        bulkSelectedLibraryIds.add(libraryId);
+        const checkbox = adCardElement.querySelector('.' + BULK_CHECKBOX_CLASS + ' input');
+        if (checkbox) checkbox.checked = true;
+    }
+    updateBulkToolbar();
+}
+
+/**
+ * Saves the selected ads one at a time, skipping ones that are already saved.
+ * The background script spaces the API calls out, so this just waits for each in turn.
+ */
+async function saveSelectedAds() {
+    if (isBulkSaveRunning || bulkSelectedLibraryIds.size === 0) return;
+    isBulkSaveRunning = true;
+    isBulkSaveStopRequested = false;
+
+    const libraryIds = Array.from(bulkSelectedLibraryIds);
+    const counts = { saved: 0, skipped: 0, queued: 0, failed: 0 };
+    let needsLogin = false;
+    let needsOrganization = false;
+
+    for (let i = 0; i < libraryIds.length; i++) {
+        if (isBulkSaveStopRequested) break;
+        const libraryId = libraryIds[i];
+        updateBulkToolbar(`Saving ${i + 1} of ${libraryIds.length}...`);
+
+        const saveButton = findSaveButtons(libraryId)[0];
+        if (!saveButton || saveButton.dataset.adSaverState === 'saved') {
+            counts.skipped++;
+        } else {
+            const response = await requestAdSave(saveButton);
+            if (response.success) {
+                counts.saved++;
+            } else if (response.queued) {
+                counts.queued++;
+            } else {
+                counts.failed++;
+            }
+            needsLogin = needsLogin || !!response.redirectToLogin;
+            needsOrganization = needsOrganization || !!response.selectOrganization;
+        }
+
+        bulkSelectedLibraryIds.delete(libraryId);
+        const checkbox = saveButton && saveButton.parentElement.querySelector('.' + BULK_CHECKBOX_CLASS + ' input');
+        if (checkbox) {
+            checkbox.checked = false;
+            checkbox.disabled = saveButton.dataset.adSaverState === 'saved';
+        }
+    }
+
+    isBulkSaveRunning = false;
+    let summary = `${isBulkSaveStopRequested ? 'Stopped' : 'Done'}: ${counts.saved} saved, ${counts.skipped} skipped`;
+    if (counts.queued) summary += `, ${counts.queued} queued`;
+    if (counts.failed) summary += `, ${counts.failed} failed`;
+    if (needsLogin) {
+        summary += '. Log in to Swipe File to finish queued saves.';
+    } else if (needsOrganization) {
+        summary += '. Choose an organization in the extension popup to finish queued saves.';
+    }
+    updateBulkToolbar(summary);
+    showToast({
+        type: counts.failed || needsLogin || needsOrganization ? 'warning' : 'success',
+        title: 'Bulk save',
+        message: summary,
+        actions: needsLogin ? [openSwipeFileAction] : []
+    });
+}
+
+/**
+ * Creates a small styled button for the bulk toolbar.
+ * @param {string} label - The button text.
+ * @param {function(): void} onClick - Click handler.
+ * @returns {HTMLButtonElement}
+ */
+function createBulkToolbarButton(label, onClick) {
+    const { primaryColor } = getSaveButtonColors();
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.style.backgroundColor = primaryColor;
+    button.style.color = 'white';
+    button.style.border = 'none';
+    button.style.borderRadius = '0.5rem';
+    button.style.padding = '6px 10px';
+    button.style.fontWeight = 'bold';
+    button.style.cursor = 'pointer';
+    button.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        onClick();
+    });
+    return button;
+}
+
+/**
+ * Adds the floating bulk toolbar to the Meta Ad Library page.
+ */
+function createBulkToolbar() {
+    if (document.getElementById(BULK_TOOLBAR_ID)) return;
+    const { isDarkMode } = getSaveButtonColors();
+
+    const toolbar = document.createElement('div');
+    toolbar.id = BULK_TOOLBAR_ID;
+    toolbar.style.position = 'fixed';
+    toolbar.style.right = '16px';
+    toolbar.style.bottom = '16px';
+    toolbar.style.zIndex = '2147483000';
+    toolbar.style.display = 'flex';
+    toolbar.style.flexWrap = 'wrap';
+    toolbar.style.alignItems = 'center';
+    toolbar.style.gap = '8px';
+    toolbar.style.maxWidth = '420px';
+    toolbar.style.padding = '10px 12px';
+    toolbar.style.borderRadius = '0.75rem';
+    toolbar.style.boxShadow = '0 4px 16px rgba(0, 0, 0, 0.25)';
+    toolbar.style.backgroundColor = isDarkMode ? 'hsl(224, 71%, 8%)' : 'white';
+    toolbar.style.color = isDarkMode ? 'white' : 'hsl(224, 71%, 8%)';
+    toolbar.style.fontFamily = 'inherit';
+    toolbar.style.fontSize = '13px';
+
+    const selectModeButton = createBulkToolbarButton('Select ads', () => setBulkSelectMode(!isBulkSelectMode));
+    selectModeButton.dataset.role = 'select-mode';
+    const selectAllButton = createBulkToolbarButton('Select all loaded', selectAllLoadedAds);
+    selectAllButton.dataset.role = 'select-all';
+    const saveSelectedButton = createBulkToolbarButton('Save selected', saveSelectedAds);
+    saveSelectedButton.dataset.role = 'save-selected';
+    const stopButton = createBulkToolbarButton('Stop', () => { isBulkSaveStopRequested = true; });
+    stopButton.dataset.role = 'stop';
+    const watchButton = createBulkToolbarButton('Watch', toggleFacebookWatch);
+    watchButton.dataset.role = 'watch';
+
+    const status = document.createElement('span');
+    status.dataset.role = 'status';
+    status.style.flexBasis = '100%';
+    const watchStatus = document.createElement('span');
+    watchStatus.dataset.role = 'watch-status';
+    watchStatus.style.flexBasis = '100%';
+
+    toolbar.append(selectModeButton, selectAllButton, saveSelectedButton, stopButton, watchButton, status, watchStatus);
+    document.body.appendChild(toolbar);
+    updateBulkToolbar();
+    updateWatchControls();
+}
+
+/**
+ * Shows the toolbar controls for the current mode and an optional progress message.
+ * @param {string} [statusText] - Progress or summary text; defaults to the selection count.
+ */
+function updateBulkToolbar(statusText) {
+    const toolbar = document.getElementById(BULK_TOOLBAR_ID);
+    if (!toolbar) return;
+    const part = role => toolbar.querySelector(`[data-role="${role}"]`);
+
+    part('select-mode').textContent = isBulkSelectMode ? 'Done selecting' : 'Select ads';
+    part('select-mode').style.display = isBulkSaveRunning ? 'none' : '';
+    part('select-all').style.display = isBulkSelectMode && !isBulkSaveRunning ? '' : 'none';
+    part('save-selected').style.display = isBulkSelectMode && !isBulkSaveRunning ? '' : 'none';
+    part('save-selected').textContent = `Save selected (${bulkSelectedLibraryIds.size})`;
+    part('stop').style.display = isBulkSaveRunning ? '' : 'none';
+
+    const status = part('status');
+    if (statusText) {
+        status.textContent = statusText;
+    } else if (!isBulkSaveRunning) {
+        status.textContent = isBulkSelectMode ? `${bulkSelectedLibraryIds.size} selected` : '';
+    }
+    status.style.display = status.textContent ? '' : 'none';
+}
+
+// --- Rule-based auto-save on the Meta Ad Library ---
+// Rules are set up on the options page. Each card is checked once its button is injected:
+// matching ads are saved straight away (up to a per-session cap kept by the background script)
+// or flagged for one-click approval.
+
+let autoSaveRules = [];
+let autoSavePausedReason = null; // Set when auto-saves can't go through on this page, e.g. when logged out
+
+/**
+ * Loads the enabled rules, and keeps them current when they're edited on the options page.
+ * @returns {Promise<void>} Resolves once the rules are loaded.
+ */
+async function loadAutoSaveRules() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[AUTO_SAVE_RULES_STORAGE_KEY]) {
+            autoSaveRules = (changes[AUTO_SAVE_RULES_STORAGE_KEY].newValue || []).filter(rule => rule.enabled);
+        }
+    });
+    const response = await sendBackgroundMessage("getAutoSaveRules");
+    if (response) {
+        autoSaveRules = response.rules.filter(rule => rule.enabled);
+    }
+}
+
+/**
+ * Checks an ad's details against a rule. Every criterion the rule sets has to match; unset ones are ignored.
+ * @param {object} rule - A rule from the options page.
+ * @param {object} metadata - The ad's details from extractFacebookAdMetadata.
+ * @returns {boolean}
+ */
+function doesAdMatchRule(rule, metadata) {
+    const advertisers = rule.advertisers || [];
+    const keywords = rule.keywords || [];
+    if (advertisers.length === 0 && keywords.length === 0 && !rule.minDaysRunning) return false;
+
+    if (advertisers.length > 0) {
+        const advertiserName = (metadata.advertiserName || '').toLowerCase();
+        if (!advertisers.some(advertiser => advertiserName.includes(advertiser.toLowerCase()))) return false;
+    }
+    if (keywords.length > 0) {
+        const copy = [metadata.primaryText, metadata.headline, metadata.cta].filter(Boolean).join(' ').toLowerCase();
+        if (!keywords.some(keyword => copy.includes(keyword.toLowerCase()))) return false;
+    }
+    if (rule.minDaysRunning) {
+        // Read with the month names in selectors.json; in a UI language without them there's no date, and the rule never matches
+        if (!metadata.startedRunningOnDate) return false;
+        const daysRunning = (Date.now() - Date.parse(metadata.startedRunningOnDate)) / DAY_MS;
+        if (daysRunning < rule.minDaysRunning) return false;
+    }
+    return true;
+}
+
+/**
+ * Asks the background script for one auto-save from the per-session allowance.
+ * @returns {Promise<boolean>} True if the ad may be saved.
+ */
+function reserveAutoSave() {
+    return sendBackgroundMessage("reserveAutoSave").then(response => !!(response && response.allowed));
+}
+
+/**
+ * Saves or flags a card whose ad matches one of the rules.
+ * @param {HTMLElement} adCardElement - A card that just got its save button.
+ * @returns {Promise<void>}
+ */
+async function applyAutoSaveRules(adCardElement) {
+    if (autoSaveRules.length === 0) return;
+    const saveButton = getCardSaveButton(adCardElement);
+    if (!saveButton || saveButton.dataset.adSaverState !== 'idle') return;
+
+    const metadata = extractFacebookAdMetadata(adCardElement);
+    const rule = autoSaveRules.find(candidate => doesAdMatchRule(candidate, metadata));
+    if (!rule) return;
+
+    if (rule.action !== 'save' || autoSavePausedReason) {
+        addRuleMatchNotice(saveButton, rule, autoSavePausedReason);
+        return;
+    }
+    if (!await reserveAutoSave()) {
+        addRuleMatchNotice(saveButton, rule, 'Auto-save limit for this session reached.');
+        return;
+    }
+
+    const response = await requestAdSave(saveButton);
+    if (!response.success && !response.queued) {
+        // Saves that went through or were queued to go through later count toward the session cap
+        sendBackgroundMessage("releaseAutoSave");
+    }
+    if (response.redirectToLogin || response.selectOrganization) {
+        // Don't fire more saves (or prompts) at a page where none can go through
+        if (!autoSavePausedReason) {
+            reportSaveOutcome(response, saveButton);
+        }
+        autoSavePausedReason = response.redirectToLogin ? 'Log in to Swipe File to auto-save.' : 'Choose an organization to auto-save.';
+    } else if (response.success) {
+        reportSaveOutcome({ ...response, message: `Auto-saved: matches rule "${rule.name}".` }, saveButton);
+    } else {
+        reportSaveOutcome(response, saveButton);
+    }
+}
+
+/**
+ * Flags a card for one-click approval of a matching rule.
+ * @param {HTMLElement} saveButton - The card's save button.
+ * @param {object} rule - The rule the ad matches.
+ * @param {string|null} reason - Why it wasn't auto-saved, if the rule asks for that.
+ */
+function addRuleMatchNotice(saveButton, rule, reason) {
+    const wrapper = saveButton.parentElement;
+    if (!wrapper || wrapper.querySelector('.' + RULE_MATCH_NOTICE_CLASS)) return;
+    const { queuedColor } = getSaveButtonColors();
+
+    const notice = document.createElement('div');
+    notice.className = RULE_MATCH_NOTICE_CLASS;
+    notice.style.display = 'flex';
+    notice.style.flexWrap = 'wrap';
+    notice.style.gap = '6px';
+    notice.style.padding = '4px 8px';
+    notice.style.borderLeft = `3px solid ${queuedColor}`;
+    notice.style.fontSize = '12px';
+    notice.textContent = `Matches rule "${rule.name}".${reason ? ` ${reason}` : ''}`;
+
+    const approve = document.createElement('span');
+    approve.setAttribute('role', 'button');
+    approve.tabIndex = 0;
+    approve.textContent = 'Save it';
+    approve.style.textDecoration = 'underline';
+    approve.style.cursor = 'pointer';
+    approve.style.fontWeight = 'bold';
+    const onApprove = (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        notice.remove();
+        if (saveButton.dataset.adSaverState === 'saved') return;
+        requestAdSave(saveButton).then(response => reportSaveOutcome(response, saveButton));
+    };
+    approve.addEventListener('click', onApprove);
+    approve.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') onApprove(event);
+    });
+    notice.appendChild(approve);
+    wrapper.insertBefore(notice, saveButton);
+}
+
+// --- Watching advertisers and searches on the Meta Ad Library ---
+// A watch remembers which Library IDs the user has scrolled past on an advertiser's page or a search.
+// On later visits, cards with other IDs get a "New" badge and the toolbar icon counts those not seen yet.
+
+let currentWatchTarget = null; // What the current URL can be watched as, or null
+let currentWatch = null; // The stored watch for currentWatchTarget, or null when not watching
+let watchBaselineIds = null; // IDs seen on earlier visits; null on the visit that started the watch
+const detectedFacebookCards = new Map(); // Library ID → card, for every card found on this page
+const newFacebookAdIds = new Set(); // Cards on this page not seen on an earlier visit
+const unseenFacebookAdIds = new Set(); // New cards not scrolled into view yet
+const seenAdIdsToReport = new Set(); // Seen since the last report to the background script
+
+/**
+ * Works out what the current Ad Library URL can be watched as: an advertiser's page or a search.
+ * @returns {{key: string, type: 'advertiser'|'search', query?: string}|null}
+ */
+function getFacebookWatchTarget() {
+    const params = new URLSearchParams(window.location.search);
+    const pageId = params.get('view_all_page_id');
+    if (pageId) {
+        return { key: `page:${pageId}`, type: 'advertiser' };
+    }
+    const query = (params.get('q') || '').trim();
+    if (query) {
+        return { key: `search:${query.toLowerCase()}`, type: 'search', query };
+    }
+    return null;
+}
+
+/**
+ * Loads the watch for the current URL when it changed, and resets the badges of the previous one.
+ * @returns {Promise<void>}
+ */
+async function refreshFacebookWatch() {
+    const target = getFacebookWatchTarget();
+    const key = target ? target.key : null;
+    if (key === (currentWatchTarget && currentWatchTarget.key)) return;
+
+    currentWatchTarget = target;
+    currentWatch = null;
+    watchBaselineIds = null;
+    // Cards found for the previous search or advertiser belong to neither its watch nor this one
+    detectedFacebookCards.clear();
+    newFacebookAdIds.clear();
+    unseenFacebookAdIds.clear();
+    facebookNewAdObserver.disconnect();
+    document.querySelectorAll('.' + FB_NEW_BADGE_CLASS).forEach(badge => badge.remove());
+    reportUnseenAdsCount();
+    updateWatchControls();
+    if (!key) return;
+
+    const response = await sendBackgroundMessage('getWatch', { watchKey: key });
+    if (!currentWatchTarget || currentWatchTarget.key !== key || !response || !response.watch) return; // Navigated on, or not watched
+
+    currentWatch = response.watch;
+    watchBaselineIds = new Set(response.watch.seenIds);
+    getShownFacebookCards().forEach(([libraryId, adCardElement]) => trackWatchedFacebookCard(libraryId, adCardElement));
+    updateWatchControls();
+}
+
+/**
+ * Returns the cards found for the current search or advertiser that are still on the page,
+ * forgetting the ones Meta has since removed.
+ * @returns {Array<[string, HTMLElement]>} Library ID and card pairs.
+ */
+function getShownFacebookCards() {
+    for (const [libraryId, adCardElement] of detectedFacebookCards) {
+        if (!adCardElement.isConnected) {
+            detectedFacebookCards.delete(libraryId);
+        }
+    }
+    return Array.from(detectedFacebookCards);
+}
+
+/**
+ * Checks a card against the current watch: new cards get a badge and count as unseen until scrolled into view.
+ * @param {string} libraryId - The card's Library ID.
+ * @param {HTMLElement} adCardElement - The card.
+ */
+function trackWatchedFacebookCard(libraryId, adCardElement) {
+    detectedFacebookCards.set(libraryId, adCardElement);
+    if (!currentWatch) return;
+
+    if (!watchBaselineIds) {
+        // The visit that started the watch: everything on the page is the baseline
+        seenAdIdsToReport.add(libraryId);
+        reportSeenAdsLater();
+        return;
+    }
+    if (watchBaselineIds.has(libraryId) || newFacebookAdIds.has(libraryId)) return;
+
+    newFacebookAdIds.add(libraryId);
+    unseenFacebookAdIds.add(libraryId);
+    addNewAdBadge(adCardElement);
+    facebookNewAdObserver.observe(adCardElement);
+    reportUnseenAdsCount();
+    updateWatchControls();
+}
+
+/**
+ * Puts a "New" badge above a card's save button; cards whose button isn't injected yet get it with the button.
+ * @param {HTMLElement} adCardElement - The card.
+ */
+function addNewAdBadge(adCardElement) {
+    const wrapper = adCardElement.querySelector('.' + BUTTON_WRAPPER_CLASS);
+    if (!wrapper || wrapper.querySelector('.' + FB_NEW_BADGE_CLASS)) return;
+
+    const { primaryColor } = getSaveButtonColors();
+    const badge = document.createElement('span');
+    badge.className = FB_NEW_BADGE_CLASS;
+    badge.textContent = 'New';
+    badge.title = 'Not seen on your earlier visits to this watched page';
+    badge.style.alignSelf = 'flex-start';
+    badge.style.padding = '2px 8px';
+    badge.style.borderRadius = '999px';
+    badge.style.backgroundColor = primaryColor;
+    badge.style.color = 'white';
+    badge.style.fontSize = '12px';
+    badge.style.fontWeight = 'bold';
+    wrapper.prepend(badge);
+}
+
+// New cards count as seen once at least half of them has been in view
+const facebookNewAdObserver = new IntersectionObserver((entries) => {
+    for (const entry of entries) {
+        if (!entry.isIntersecting) continue;
+        facebookNewAdObserver.unobserve(entry.target);
+        const libraryId = Array.from(unseenFacebookAdIds).find(id => detectedFacebookCards.get(id) === entry.target);
+        if (!libraryId) continue;
+        unseenFacebookAdIds.delete(libraryId);
+        seenAdIdsToReport.add(libraryId);
+    }
+    reportSeenAdsLater();
+    reportUnseenAdsCount();
+    updateWatchControls();
+}, { threshold: 0.5 });
+
+// Seen IDs are sent in batches while the user scrolls
+const reportSeenAdsLater = debounce(() => {
+    if (!currentWatch || seenAdIdsToReport.size === 0) return;
+    sendBackgroundMessage('markWatchAdsSeen', { watchKey: currentWatch.key, libraryIds: Array.from(seenAdIdsToReport) });
+    seenAdIdsToReport.clear();
+}, 1000);
+
+// Shows the number of unseen new ads on this tab's toolbar icon.
+function reportUnseenAdsCount() {
+    sendBackgroundMessage('setUnseenAdsCount', { count: unseenFacebookAdIds.size });
+}
+
+/**
+ * Starts or stops watching the current advertiser or search.
+ * @returns {Promise<void>}
+ */
+async function toggleFacebookWatch() {
+    if (!currentWatchTarget) return;
+    const watchKey = currentWatchTarget.key;
+
+    if (currentWatch) {
+        await sendBackgroundMessage('setWatch', { watchKey, watching: false });
+        currentWatch = null;
+        watchBaselineIds = null;
+        newFacebookAdIds.clear();
+        unseenFacebookAdIds.clear();
+        document.querySelectorAll('.' + FB_NEW_BADGE_CLASS).forEach(badge => badge.remove());
+        reportUnseenAdsCount();
+        updateWatchControls();
+        showToast({ type: 'info', message: 'Stopped watching.' });
+        return;
+    }
+
+    const shownCards = getShownFacebookCards();
+    let label = `"${currentWatchTarget.query}"`;
+    if (currentWatchTarget.type === 'advertiser') {
+        let advertiserName = null;
+        for (const [, adCardElement] of shownCards) {
+            advertiserName = extractFacebookAdMetadata(adCardElement).advertiserName;
+            if (advertiserName) break;
+        }
+        label = advertiserName || `Page ${watchKey.slice('page:'.length)}`;
+    }
+    // Ads already on the page are the baseline; later visits flag anything else as new
+    const seenIds = shownCards.map(([libraryId]) => libraryId);
+    const response = await sendBackgroundMessage('setWatch', { watchKey, watching: true, label, url: window.location.href, seenIds });
+    if (!response || !response.success) {
+        showToast({ type: 'error', message: 'Could not start watching this page.' });
+        return;
+    }
+    currentWatch = { key: watchKey, label };
+    updateWatchControls();
+    showToast({ type: 'success', message: `Watching ${label}. Ads you haven't seen will be marked "New" on your next visit.` });
+}
+
+// Shows the watch button (when the page can be watched) and how many new ads it has.
+function updateWatchControls() {
+    const toolbar = document.getElementById(BULK_TOOLBAR_ID);
+    if (!toolbar) return;
+    const watchButton = toolbar.querySelector('[data-role="watch"]');
+    const watchStatus = toolbar.querySelector('[data-role="watch-status"]');
+
+    watchButton.style.display = currentWatchTarget ? '' : 'none';
+    if (currentWatchTarget) {
+        const noun = currentWatchTarget.type === 'advertiser' ? 'advertiser' : 'search';
+        watchButton.textContent = currentWatch ? `Unwatch ${noun}` : `Watch ${noun}`;
+    }
+    watchStatus.textContent = currentWatch && watchBaselineIds
+        ? `${newFacebookAdIds.size} new since your last visit · ${unseenFacebookAdIds.size} not seen yet`
+        : '';
+    watchStatus.style.display = watchStatus.textContent ? '' : 'none';
+}
+
+/**
+ * Works out which TikTok creative a link points to. Creatives are stored by a stable ID rather than the link
+ * they were found through, which differs between surfaces and carries tracking and filter parameters.
+ * Must match parseTiktokCreativeUrl in background.js.
+ * @param {string} url - An absolute URL or relative link.
+ * @returns {{libraryId: string, creativeId: string, creativeLink: string, creativeSource: string}|null}
+ *   The creative, or null if the link is not a creative.
+ */
+function parseTiktokCreativeUrl(url) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url, document.baseURI);
+    } catch (error) {
+        return null;
+    }
+    const { hostname, pathname, searchParams } = parsedUrl;
+
+    if (hostname === 'ads.tiktok.com') {
+        // Top Ads link to the creative's detail page. Top Products and keyword insights are assumed to link
+        // their videos the same way; that hasn't been checked against those pages.
+        const match = pathname.match(selectorPatterns.tiktok.creativePath);
+        if (!match) return null;
+        return {
+            libraryId: `tiktok:${match[1]}`,
+            creativeId: match[1],
+            creativeLink: `https://ads.tiktok.com/business/creativecenter/topads/${match[1]}/pc/en`,
+            creativeSource: 'creative_center'
+        };
+    }
+    if (hostname === 'library.tiktok.com') {
+        const adId = searchParams.get('ad_id');
+        if (!adId || !/^\d+$/.test(adId)) return null;
+        return {
+            libraryId: `tiktok-ad:${adId}`,
+            creativeId: adId,
+            creativeLink: `https://library.tiktok.com/ads/detail/?ad_id=${adId}`,
+            creativeSource: 'ad_library'
+        };
+    }
+    return null;
+}
+
+/**
+ * Collects the media of a TikTok ad card, for archiving when it's saved.
+ * @param {HTMLElement} adCardElement - The DOM element for the TikTok ad card.
+ * @returns {{images: Array<string>, videos: Array<string>, thumbnails: Array<string>}}
+ */
+function extractTiktokMedia(adCardElement) {
+    const videos = Array.from(adCardElement.querySelectorAll('video'))
+        .map(video => video.currentSrc || video.src)
+        .filter(src => src && !src.startsWith('blob:'));
+    // The cover image is shown until the video plays; some cards only have it as the poster
+    const thumbnails = [
+        ...Array.from(adCardElement.querySelectorAll('video[poster]')).map(video => video.poster),
+        ...Array.from(adCardElement.querySelectorAll('img'))
+            .filter(img => img.src && !img.src.startsWith('data:') && Math.max(img.naturalWidth, img.width) >= 100)
+            .map(img => img.src)
+    ];
+    return { images: [], videos: [...new Set(videos)], thumbnails: [...new Set(thumbnails)] };
+}
+
+/**
+ * Creates a save button for a TikTok creative.
+ * @param {object} creative - The creative, as returned by parseTiktokCreativeUrl.
+ * @param {HTMLElement} mediaElement - The element holding the creative's video and cover, for archiving.
+ * @returns {Promise<HTMLElement>} The button.
+ */
+async function createTiktokSaveButton(creative, mediaElement) {
+    const saveStatus = await getAdSaveStatus(creative.libraryId);
+    return createSaveButton({
+        saveData: { ...creative, library: 'tiktok' },
+        getExtraSaveData: () => ({ media: extractTiktokMedia(mediaElement) }),
+        saveStatus,
+        saveClass: TIKTOK_SAVE_BUTTON_CLASS,
+        savedClass: TIKTOK_SAVED_BUTTON_CLASS
+    });
+}
+
+/**
+ * Creates and injects a "Save Ad" button for a TikTok creative card.
+ * On Top Ads cards it goes above the "See analytics" button; elsewhere at the bottom of the card.
+ * @param {HTMLElement} adCardElement - The ad card element to inject the button into.
+ * @param {object} creative - The creative, as returned by parseTiktokCreativeUrl.
+ */
+async function addTiktokSaveButtonToAd(adCardElement, creative) {
+    if (adCardElement.querySelector('.' + BUTTON_WRAPPER_CLASS)) return;
+
+    // Use the new, more robust selector for the "See analytics" button's inner div
+    const analyticsButton = adCardElement.querySelector(selectorConfig.platforms.tiktok.analyticsButton);
+    // The clickable element is the parent <a> tag. We need to wrap this.
+    const analyticsLink = analyticsButton && analyticsButton.closest('a');
+
+    const flexColumnWrapper = createButtonWrapper();
+    // Claim the slot before the async saved-state lookup so rescans don't inject twice.
+    if (analyticsLink && analyticsLink.parentElement) {
+        analyticsLink.parentElement.insertBefore(flexColumnWrapper, analyticsLink);
+    } else {
+        flexColumnWrapper.style.marginTop = '8px';
+        adCardElement.appendChild(flexColumnWrapper);
+    }
+
+    const saveButton = await createTiktokSaveButton(creative, adCardElement);
+    if (analyticsLink) {
+        const analyticsStyles = window.getComputedStyle(analyticsButton);
+        saveButton.style.padding = analyticsStyles.padding;
+        saveButton.style.height = analyticsButton.offsetHeight + 'px';
+    } else {
+        saveButton.style.padding = '6px 10px';
+    }
+
+    // Save button is first, so it appears on top of "See analytics".
+    flexColumnWrapper.appendChild(saveButton);
+    if (analyticsLink) {
+        flexColumnWrapper.appendChild(analyticsLink);
+    }
+    console.log('[Ad Saver] Successfully added TikTok save button for creative:', creative.libraryId);
+}
+
+/**
+ * Maps each ancestor of the given creative links to the creative its links point to,
+ * or to TIKTOK_SEVERAL_CREATIVES if they point to more than one.
+ * @param {Array<{link: HTMLAnchorElement, creative: object}>} creativeLinks - Links with their parsed creative.
+ * @returns {Map<Element, string|symbol>}
+ */
+function mapTiktokLinkAncestors(creativeLinks) {
+    const ancestorCreatives = new Map();
+    for (const { link, creative } of creativeLinks) {
+        for (let ancestor = link.parentElement; ancestor && ancestor !== document.body; ancestor = ancestor.parentElement) {
+            const known = ancestorCreatives.get(ancestor);
+            // Ancestors further up already hold this creative, or several
+            if (known === creative.libraryId || known === TIKTOK_SEVERAL_CREATIVES) break;
+            ancestorCreatives.set(ancestor, known === undefined ? creative.libraryId : TIKTOK_SEVERAL_CREATIVES);
+        }
+    }
+    return ancestorCreatives;
+}
+
+/**
+ * Finds the card around a creative link: the largest ancestor that shows media and links to no other creative.
+ * @param {HTMLAnchorElement} link - A link to a creative.
+ * @param {string} libraryId - The creative the link points to.
+ * @param {Map<Element, string|symbol>} ancestorCreatives - The page's creative links, from mapTiktokLinkAncestors.
+ * @returns {HTMLElement|null} The card, or null if the link isn't part of one (e.g. a text link).
+ */
+function findTiktokCardForLink(link, libraryId, ancestorCreatives) {
+    let card = link;
+    for (let depth = 0; depth < TIKTOK_CARD_MAX_DEPTH; depth++) {
+        const parent = card.parentElement;
+        if (!parent || parent === document.body || ancestorCreatives.get(parent) !== libraryId) break;
+        card = parent;
+    }
+    return card.querySelector('video, img') ? card : null;
+}
+
+/**
+ * Adds a save button for the creative a detail page shows, in a small bar at the bottom right.
+ * Removes the bar when navigating away from the creative.
+ */
+async function addTiktokDetailSaveButton() {
+    const creative = parseTiktokCreativeUrl(window.location.href);
+    const existingBar = document.getElementById(TIKTOK_DETAIL_BAR_ID);
+    if (existingBar && creative && existingBar.dataset.adSaverCreativeId === creative.libraryId) return;
+    if (existingBar) existingBar.remove();
+    if (!creative) return;
+
+    const { isDarkMode } = getSaveButtonColors();
+    const bar = document.createElement('div');
+    bar.id = TIKTOK_DETAIL_BAR_ID;
+    bar.dataset.adSaverCreativeId = creative.libraryId;
+    bar.style.position = 'fixed';
+    bar.style.right = '16px';
+    bar.style.bottom = '16px';
+    bar.style.zIndex = '2147483000';
+    bar.style.display = 'flex';
+    bar.style.flexDirection = 'column';
+    bar.style.gap = '4px';
+    bar.style.padding = '10px 12px';
+    bar.style.borderRadius = '0.75rem';
+    bar.style.boxShadow = '0 4px 16px rgba(0, 0, 0, 0.25)';
+    bar.style.backgroundColor = isDarkMode ? 'hsl(224, 71%, 8%)' : 'white';
+    bar.style.color = isDarkMode ? 'white' : 'hsl(224, 71%, 8%)';
+    bar.style.fontSize = '13px';
+    bar.classList.add(TIKTOK_PROCESSED_MARKER_CLASS); // So the keyboard shortcuts can save it
+    const caption = document.createElement('span');
+    caption.textContent = `This creative (ID ${creative.creativeId})`;
+    bar.appendChild(caption);
+    document.body.appendChild(bar);
+
+    // The page's main video is the creative; fall back to the whole page for its cover
+    const mediaElement = document.querySelector(selectorConfig.platforms.tiktok.detailMedia) || document.body;
+    const saveButton = await createTiktokSaveButton(creative, mediaElement);
+    if (!bar.isConnected) return;
+    saveButton.style.padding = '6px 10px';
+    bar.appendChild(saveButton);
+}
+
+/**
+ * Finds TikTok creatives on the page and processes them: Top Ads cards, other Creative Center lists
+ * that link to creatives (assumed to include Top Products and keyword insights), TikTok Ad Library
+ * results, and creative detail pages.
+ */
+function findAndProcessTiktokAds() {
+    const tiktokSelectors = selectorConfig.platforms.tiktok;
+    let processedCount = 0;
+
+    // Top Ads cards have a known class; their link is on the "See analytics" button.
+    for (const adCard of document.querySelectorAll(tiktokSelectors.topAdsCard)) {
+        if (adCard.classList.contains(TIKTOK_PROCESSED_MARKER_CLASS)) continue;
+        const link = adCard.querySelector(tiktokSelectors.creativeLink);
+        const creative = link && parseTiktokCreativeUrl(link.getAttribute('href'));
+        recordSelectorMatch(adCard, !!creative);
+        if (creative) {
+            addTiktokSaveButtonToAd(adCard, creative);
+            adCard.classList.add(TIKTOK_PROCESSED_MARKER_CLASS);
+            processedCount++;
+        }
+    }
+
+    // Other surfaces don't share class names; their cards are found from the links to each creative.
+    // Every link is parsed once, and its ancestors recorded in one pass, so this stays linear in the links.
+    const links = Array.from(document.querySelectorAll(tiktokSelectors.creativeLink), link => ({
+        link,
+        creative: parseTiktokCreativeUrl(link.getAttribute('href'))
+    }));
+    const ancestorCreatives = mapTiktokLinkAncestors(links.filter(({ creative }) => creative));
+    for (const { link, creative } of links) {
+        if (link.closest(`.${TIKTOK_PROCESSED_MARKER_CLASS}, .${BUTTON_WRAPPER_CLASS}, #${TIKTOK_DETAIL_BAR_ID}`)) continue;
+        const adCard = creative && findTiktokCardForLink(link, creative.libraryId, ancestorCreatives);
+        recordSelectorMatch(link, !!adCard);
+        if (adCard) {
+            addTiktokSaveButtonToAd(adCard, creative);
+            adCard.classList.add(TIKTOK_PROCESSED_MARKER_CLASS);
+            processedCount++;
+        }
+    }
+
+    addTiktokDetailSaveButton();
+    if (processedCount > 0) {
+        console.log(`[Ad Saver] Processed ${processedCount} TikTok ad cards.`);
+    }
+}
+
+const debouncedProcessTiktokAds = debounce(findAndProcessTiktokAds, 500);
+
+const tiktokObserver = new MutationObserver((mutationsList) => {
+    for (const mutation of mutationsList) {
+        if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
+            debouncedProcessTiktokAds();
+            return;
+        }
+    }
+});
 
 /**
- * Checks with background script if an ad is already saved
- * @param {string} libraryId - The library ID to check
- * @returns {Promise<boolean>} - True if already saved
- */
-function checkIfAdSaved(libraryId) {
-    return new Promise((resolve) => {
-        chrome.runtime.sendMessage(
-            { 
-                action: "checkAdSaved", 
-                data: { libraryId }
-            }, 
-            (response) => {
-                if (chrome.runtime.lastError) {
-                    console.error('Error checking saved status:', chrome.runtime.lastError);
-                    resolve(false);
-                } else {
-                    resolve(response && response.isSaved);
-                }
-            }
-        );
-    });
+ * Extracts the advertiser and creative IDs from a Google Ads Transparency Center link or path.
+ * @param {string} url - An absolute URL, relative link or pathname.
+ * @returns {{advertiserId: string, creativeId: string}|null} The identifiers, or null if the URL is not a creative link.
+ */
+function extractGoogleAdIdentifiers(url) {
+    const match = url && url.match(selectorPatterns.google.creativePath);
+    if (match) {
+        return { advertiserId: match[1], creativeId: match[2] };
+    }
+    return null;
 }
 
-// Debouncer function to limit how often a function is called
-function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-        const later = () => {
-            clearTimeout(timeout);
-            func(...args);
-        };
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-    };
+/**
+ * Creates and injects a "Save Ad" button for a Google Ads Transparency Center creative.
+ * @param {HTMLElement} containerElement - The element the button is appended to (a creative card or the creative page details).
+ * @param {{advertiserId: string, creativeId: string}} adIdentifiers - The identifiers for this creative.
+ */
+async function addGoogleSaveButtonToAd(containerElement, adIdentifiers) {
+    const { advertiserId, creativeId } = adIdentifiers;
+
+    // The creative page is re-rendered in place when navigating between creatives,
+    // so drop a wrapper that belongs to a different creative.
+    const existingWrapper = containerElement.querySelector(':scope > .' + BUTTON_WRAPPER_CLASS);
+    if (existingWrapper) {
+        if (existingWrapper.dataset.adSaverCreativeId === creativeId) return;
+        existingWrapper.remove();
+    }
+
+    const flexColumnWrapper = createButtonWrapper();
+    flexColumnWrapper.dataset.adSaverCreativeId = creativeId;
+    flexColumnWrapper.style.marginTop = '8px';
+    // Claim the slot before the async saved-state lookup so rescans don't inject twice.
+    containerElement.appendChild(flexColumnWrapper);
+
+    const saveStatus = await getAdSaveStatus(creativeId);
+
+    const saveButton = createSaveButton({
+        saveData: { libraryId: creativeId, library: 'google', advertiserId, creativeId },
+        saveStatus,
+        saveClass: GOOGLE_SAVE_BUTTON_CLASS,
+        savedClass: GOOGLE_SAVED_BUTTON_CLASS
+    });
+    saveButton.style.padding = '8px 12px';
+    saveButton.style.fontSize = '14px';
+
+    flexColumnWrapper.appendChild(saveButton);
+    console.log('[Ad Saver] Successfully added Google save button for creative:', creativeId);
 }
 
 /**
- * Extracts the Library ID from a given ad card element.
- * @param {HTMLElement} adCardElement - The DOM element suspected to be an ad card.
- * @returns {string|null} The extracted library ID, or null if not found.
+ * Finds Google Ads Transparency Center creatives (advertiser grids and the creative page) and processes them.
  */
-function extractFacebookLibraryId(adCardElement) {
-    // XPath to find any element within adCardElement that starts with "Library ID:"
-    // The leading '.' makes the XPath relative to adCardElement
-    const xpathResult = document.evaluate(
-        ".//*[starts-with(normalize-space(.), 'Library ID:')]",
-        adCardElement,
-        null,
-        XPathResult.FIRST_ORDERED_NODE_TYPE,
-        null
-    );
-    const idElement = xpathResult.singleNodeValue;
+function findAndProcessGoogleAds() {
+    // Advertiser pages render a grid of <creative-preview> cards, each linking to its creative page.
+    const googleSelectors = selectorConfig.platforms.google;
+    const creativeLinks = document.querySelectorAll(googleSelectors.creativeLink);
+
+    for (const creativeLink of creativeLinks) {
+        const adCard = creativeLink.closest(googleSelectors.card) || creativeLink.parentElement;
+        if (!adCard || adCard.classList.contains(GOOGLE_PROCESSED_MARKER_CLASS)) {
+            continue;
+        }
 
-    if (idElement && idElement.textContent) {
-        const match = idElement.textContent.match(/Library ID:\s*(\d+)/);
-        if (match && match[1]) {
-            return match[1];
+        const adIdentifiers = extractGoogleAdIdentifiers(creativeLink.getAttribute('href'));
+        recordSelectorMatch(adCard, !!adIdentifiers);
+        if (adIdentifiers) {
+            addGoogleSaveButtonToAd(adCard, adIdentifiers);
+            adCard.classList.add(GOOGLE_PROCESSED_MARKER_CLASS);
+        }
+    }
+
+    // On a creative page the identifiers are in the URL rather than in a link.
+    const pageIdentifiers = extractGoogleAdIdentifiers(window.location.pathname);
+    if (pageIdentifiers) {
+        const detailsElement = document.querySelector(googleSelectors.detailsContainer);
+        if (detailsElement) {
+            addGoogleSaveButtonToAd(detailsElement, pageIdentifiers);
+        } else {
+            // console.warn('[Ad Saver] Could not find creative details container on Google creative page.');
         }
     }
-    // console.warn('[Ad Saver] Library ID text not found or malformed in:', adCardElement);
-    return null;
 }
 
+const debouncedProcessGoogleAds = debounce(findAndProcessGoogleAds, 500);
+
+const googleObserver = new MutationObserver((mutationsList) => {
+    for (const mutation of mutationsList) {
+        if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
+            debouncedProcessGoogleAds();
+            return;
+        }
+    }
+});
+
 /**
- * Creates and injects a "Save Ad to Swipe File" button below the original Meta button.
- * @param {HTMLElement} originalButtonElement - The original Meta button element (div[role="button"]).
- * @param {string} libraryId - The library ID for this ad.
+ * Extracts the LinkedIn ad ID from an Ad Library detail link or path.
+ * @param {string} url - An absolute URL, relative link or pathname.
+ * @returns {string|null} The ad ID, or null if the URL is not an ad detail link.
+ */
+function extractLinkedinAdId(url) {
+    const match = url && url.match(selectorPatterns.linkedin.adDetailPath);
+    return match ? match[1] : null;
+}
+
+/**
+ * Extracts the advertiser shown on a LinkedIn ad card or detail page.
+ * @param {HTMLElement} containerElement - The ad card, or the detail page container.
+ * @returns {{advertiserName: string|null, advertiserUrl: string|null}} The advertiser, with nulls for anything not found.
+ */
+function extractLinkedinAdvertiser(containerElement) {
+    // The advertiser name links to its company page.
+    const advertiserLink = containerElement.querySelector(selectorConfig.platforms.linkedin.advertiserLink);
+    if (advertiserLink) {
+        return {
+            advertiserName: advertiserLink.textContent.trim() || null,
+            advertiserUrl: new URL(advertiserLink.href, document.baseURI).href
+        };
+    }
+    // console.warn('[Ad Saver] LinkedIn advertiser link not found in:', containerElement);
+    return { advertiserName: null, advertiserUrl: null };
+}
+
+/**
+ * Creates and injects a "Save Ad to Swipe File" button below a LinkedIn button or link.
+ * @param {HTMLElement} originalButtonElement - The LinkedIn element our button is stacked under ("View details" on search results).
+ * @param {string} adId - The LinkedIn ad ID.
+ * @param {{advertiserName: string|null, advertiserUrl: string|null}} advertiser - The advertiser of this ad.
  */
-async function addFacebookSaveButtonToAd(originalButtonElement, libraryId) {
+async function addLinkedinSaveButtonToAd(originalButtonElement, adId, advertiser) {
     // Check if our button wrapper already exists (avoids duplicates)
-    if (originalButtonElement.parentElement.querySelector('.' + BUTTON_WRAPPER_CLASS)) {
+    if (originalButtonElement.parentElement.classList.contains(BUTTON_WRAPPER_CLASS)) {
         return;
     }
 
-    // Check if this ad is already saved
-    const isSaved = await checkIfAdSaved(libraryId);
+    const saveStatus = await getAdSaveStatus(adId);
 
-    // Get the parent container of the original button
     const parentContainer = originalButtonElement.parentElement;
     if (!parentContainer) return;
 
-    // Create a wrapper div that will contain both buttons in a column layout
-    const flexColumnWrapper = document.createElement('div');
-    flexColumnWrapper.className = BUTTON_WRAPPER_CLASS;
-    flexColumnWrapper.style.display = 'flex';
-    flexColumnWrapper.style.flexDirection = 'column';
-    flexColumnWrapper.style.width = '100%';
-    flexColumnWrapper.style.gap = '8px'; // Space between buttons
+    const flexColumnWrapper = createButtonWrapper();
+    flexColumnWrapper.dataset.adSaverAdId = adId;
 
-    // Determine if we're in dark mode
-    const isDarkMode = document.documentElement.classList.contains('dark') || 
-                      window.matchMedia('(prefers-color-scheme: dark)').matches;
-    
-    // Get the primary color based on theme
-    // Using the HSL values from user's CSS variables
-    const primaryColor = isDarkMode 
-        ? 'hsl(263.4, 70%, 50.4%)' // dark mode primary
-        : 'hsl(262.1, 83.3%, 57.8%)'; // light mode primary
-    
-    // Create our new save button
-    const saveButton = document.createElement('div');
-    saveButton.setAttribute('role', 'button');
-    
-    if (isSaved) {
-        // Styling for already saved ads
-        saveButton.className = FB_SAVED_BUTTON_CLASS;
-        saveButton.style.backgroundColor = isDarkMode ? 'hsl(150, 70%, 30%)' : 'hsl(150, 60%, 40%)'; // Green shade
-        
-        // Add a checkmark and "Saved to Swipe File" text
-        const textSpan = document.createElement('span');
-        textSpan.textContent = '✓ Saved to Swipe File';
-        textSpan.style.fontWeight = 'bold';
-        saveButton.appendChild(textSpan);
-
-        // Make it slightly less prominent with lower opacity
-        saveButton.style.opacity = '0.85';
-    } else {
-        // Normal styling for unsaved ads
-        saveButton.className = FB_SAVE_BUTTON_CLASS;
-        saveButton.style.backgroundColor = primaryColor;
-        
-        // Create text content for save button
-        const textSpan = document.createElement('span');
-        textSpan.textContent = 'Save Ad to Swipe File';
-        textSpan.style.fontWeight = 'bold';
-        saveButton.appendChild(textSpan);
-        
-        // Add click event listener - only for unsaved ads
-        saveButton.addEventListener('click', (event) => {
-            event.preventDefault();
-            event.stopPropagation();
-
-            // Disable button and show saving state
-            saveButton.style.opacity = '0.7';
-            textSpan.textContent = 'Saving...';
-            saveButton.setAttribute('disabled', 'true');
-
-            // Send data to background script to handle the save operation
-            chrome.runtime.sendMessage(
-                { 
-                    action: "saveAdViaSwipeFileTab", 
-                    data: { libraryId: libraryId /* other ad details if any from the page */ } 
-                }, 
-                (response) => {
-                    if (chrome.runtime.lastError) {
-                        console.error('[Ad Saver] Error communicating with background script:', chrome.runtime.lastError.message);
-                        textSpan.textContent = 'Error';
-                        alert('An error occurred while trying to save. Check console.');
-                        
-                        // Re-enable button after a short delay
-                        setTimeout(() => {
-                            textSpan.textContent = 'Save Ad to Swipe File';
-                            saveButton.style.opacity = '1';
-                            saveButton.removeAttribute('disabled');
-                        }, 2000);
-                    } else if (response && response.success) {
-                        console.log('[Ad Saver] Ad save initiated successfully via background:', response.data);
-                        
-                        // Update button to saved state permanently
-                        saveButton.className = FB_SAVED_BUTTON_CLASS;
-                        saveButton.style.backgroundColor = isDarkMode ? 'hsl(150, 70%, 30%)' : 'hsl(150, 60%, 40%)';
-                        textSpan.textContent = '✓ Saved to Swipe File';
-                        saveButton.style.opacity = '0.85';
-                        
-                        // Remove click event listener
-                        saveButton.replaceWith(saveButton.cloneNode(true));
-                        
-                        alert(response.message || 'Ad successfully saved to Swipe File!');
-                    } else {
-                        console.error('[Ad Saver] Failed to save ad via background:', response);
-                        textSpan.textContent = 'Save Failed';
-                        let alertMessage = 'Failed to save ad.';
-                        if (response && response.message) {
-                            alertMessage += ` Reason: ${response.message}`;
-                        }
-                        if (response && response.redirectToLogin) {
-                            alert('You need to be logged into Swipe File. Redirecting...');
-                            window.open(ADVERT_FARM_LOGIN_URL, '_blank');
-                        } else if (response && response.redirectToInspiration) {
-                            alert('Organization ID not found. Please select an organization on the Swipe File inspiration page. Redirecting...');
-                            window.open(ADVERT_FARM_INSPIRATION_URL, '_blank');
-                        } else {
-                            alert(alertMessage);
-                        }
-                        
-                        // Re-enable button after a short delay
-                        setTimeout(() => {
-                            textSpan.textContent = 'Save Ad to Swipe File';
-                            saveButton.style.opacity = '1';
-                            saveButton.removeAttribute('disabled');
-                        }, 2000);
-                    }
-                }
-            );
-        });
-    }
-    
-    // Common styling for both saved and unsaved states
-    saveButton.style.color = 'white';
-    saveButton.style.border = 'none';
-    saveButton.style.borderRadius = 'var(--radius, 0.5rem)';
-    saveButton.style.cursor = isSaved ? 'default' : 'pointer';
-    saveButton.style.padding = originalButtonElement.style.padding || '0px';
-    saveButton.style.width = '100%';
-    saveButton.style.height = originalButtonElement.offsetHeight + 'px';
-    saveButton.style.display = 'flex';
-    saveButton.style.justifyContent = 'center';
-    saveButton.style.alignItems = 'center';
-    
-    // Replace the original button with our wrapper
+    const saveButton = createSaveButton({
+        saveData: { libraryId: adId, library: 'linkedin', ...advertiser },
+        saveStatus,
+        saveClass: LINKEDIN_SAVE_BUTTON_CLASS,
+        savedClass: LINKEDIN_SAVED_BUTTON_CLASS
+    });
+    saveButton.style.padding = '6px 12px';
+    saveButton.style.minHeight = originalButtonElement.offsetHeight + 'px';
+
+    // Replace the original element with our wrapper
     parentContainer.insertBefore(flexColumnWrapper, originalButtonElement);
-    
-    // Move the original button into our wrapper as the first child
+
+    // Move the original element into our wrapper as the first child
     flexColumnWrapper.appendChild(originalButtonElement);
-    
+
     // Add our save button as the second child
     flexColumnWrapper.appendChild(saveButton);
 }
 
 /**
- * Finds all ad cards on the page, extracts their IDs, and adds "Save Ad" buttons.
+ * Finds LinkedIn Ad Library search results and the ad detail page and adds "Save Ad" buttons.
  */
-function findAndProcessFacebookAds() {
-    // console.log('[Ad Saver] Scanning for ads...');
-
-    // Find all <div> elements containing the text "See ad details" OR "See summary details".
-    const detailButtonTextElements = document.evaluate(
-        "//div[normalize-space(text())='See ad details' or normalize-space(text())='See summary details']",
-        document,
-        null,
-        XPathResult.UNORDERED_NODE_SNAPSHOT_TYPE,
-        null
-    );
-
-    // console.log(`[Ad Saver] Found ${detailButtonTextElements.snapshotLength} potential detail button texts.`);
-
-    for (let i = 0; i < detailButtonTextElements.snapshotLength; i++) {
-        const textElement = detailButtonTextElements.snapshotItem(i);
-
-        // The actual clickable button is an ancestor div with role="button"
-        const clickableButtonElement = textElement.closest('div[role="button"]');
-
-        if (!clickableButtonElement) {
-            // console.warn('[Ad Saver] Could not find parent div[role="button"] for text:', textElement.textContent.trim(), textElement);
-            continue;
-        }
-
-        // Determine the "ad card" element, which is an ancestor of the clickableButtonElement
-        // and should contain the "Library ID:" text.
-        let adCardElement = null;
-        let currentAncestor = clickableButtonElement.parentElement;
-        // Increase search depth if necessary, 10 levels should typically be enough.
-        for (let j = 0; j < 10; j++) {
-            if (!currentAncestor) break;
-            // Check if this ancestor contains the Library ID text
-            if (extractFacebookLibraryId(currentAncestor)) {
-                 adCardElement = currentAncestor;
-                 break;
-            }
-            currentAncestor = currentAncestor.parentElement;
-        }
+function findAndProcessLinkedinAds() {
+    // Each search result has a "View details" link to the ad's detail page.
+    const linkedinSelectors = selectorConfig.platforms.linkedin;
+    const detailLinks = document.querySelectorAll(linkedinSelectors.detailLink);
 
-        if (!adCardElement) {
-            // console.warn('[Ad Saver] Could not identify a suitable ad card container for button:', clickableButtonElement);
+    for (const detailLink of detailLinks) {
+        const adCard = detailLink.closest(linkedinSelectors.card) || detailLink.parentElement;
+        if (!adCard || adCard.classList.contains(LINKEDIN_PROCESSED_MARKER_CLASS)) {
             continue;
         }
 
-        // Check if this ad card has already been processed by our extension
-        if (adCardElement.classList.contains(FB_PROCESSED_MARKER_CLASS)) {
-            // console.log('[Ad Saver] Ad card already processed, skipping button addition for ID (if any):', adCardElement);
-            continue;
+        const adId = extractLinkedinAdId(detailLink.getAttribute('href'));
+        recordSelectorMatch(adCard, !!adId);
+        if (adId) {
+            addLinkedinSaveButtonToAd(detailLink, adId, extractLinkedinAdvertiser(adCard));
+            adCard.classList.add(LINKEDIN_PROCESSED_MARKER_CLASS);
         }
+    }
 
-        const libraryId = extractFacebookLibraryId(adCardElement); // Re-extract from the confirmed adCardElement
-
-        if (libraryId) {
-            // console.log('[Ad Saver] Adding button for Library ID:', libraryId, 'to card:', adCardElement);
-            addFacebookSaveButtonToAd(clickableButtonElement, libraryId); // Pass the Meta button, not the ad card
-            adCardElement.classList.add(FB_PROCESSED_MARKER_CLASS); // Mark this ad card as processed
-        } else {
-            // console.warn('[Ad Saver] Could not find Library ID in identified ad card:', adCardElement, 'associated with button:', clickableButtonElement);
+    // On the detail page the ad ID is in the URL; stack our button under the advertiser link.
+    // The page is re-rendered in place when navigating between ads, so the marker holds the ad it was added for.
+    const pageAdId = extractLinkedinAdId(window.location.pathname);
+    if (pageAdId) {
+        const detailsElement = document.querySelector(linkedinSelectors.detailsContainer);
+        const advertiserLink = detailsElement && detailsElement.querySelector(linkedinSelectors.advertiserLink);
+        if (advertiserLink && detailsElement.dataset.adSaverAdId !== pageAdId) {
+            // Unwrap the advertiser link if it still carries the previous ad's button
+            const staleWrapper = advertiserLink.parentElement;
+            if (staleWrapper && staleWrapper.classList.contains(BUTTON_WRAPPER_CLASS) && staleWrapper.dataset.adSaverAdId !== pageAdId) {
+                staleWrapper.parentElement.insertBefore(advertiserLink, staleWrapper);
+                staleWrapper.remove();
+            }
+            addLinkedinSaveButtonToAd(advertiserLink, pageAdId, extractLinkedinAdvertiser(detailsElement));
+            detailsElement.classList.add(LINKEDIN_PROCESSED_MARKER_CLASS);
+            detailsElement.dataset.adSaverAdId = pageAdId;
         }
     }
 }
 
-// --- MutationObserver to handle dynamically loaded ads (e.g., infinite scroll) ---
-const debouncedProcessFacebookAds = debounce(findAndProcessFacebookAds, 500); // Debounce to avoid too many calls
+const debouncedProcessLinkedinAds = debounce(findAndProcessLinkedinAds, 500);
 
-const facebookObserver = new MutationObserver((mutationsList) => {
+const linkedinObserver = new MutationObserver((mutationsList) => {
     for (const mutation of mutationsList) {
-        // We are interested in changes where new nodes are added to the DOM.
         if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-            // A simple check: if added nodes contain typical ad text, or just re-scan.
-            // For robustness, just re-scan on additions.
-            debouncedProcessFacebookAds();
-            return; // No need to check other mutations in this batch if one triggered a scan
+            debouncedProcessLinkedinAds();
+            return;
         }
     }
 });
 
+// --- Selector config and diagnostics ---
+// Each platform's scan records its candidate cards and whether an ID could be extracted from each,
+// so markup changes show up as a falling ratio in the popup rather than as silently missing buttons.
+
+const selectorDiagnostics = {
+    candidates: new WeakSet(),
+    extracted: new WeakSet(),
+    candidateCount: 0,
+    extractedCount: 0,
+    configVersion: null,
+    configSource: null, // 'bundled' or 'remote'
+    invalidSelectors: [], // "platform.key" of selectors that didn't parse and were replaced by the bundled ones
+    hasWarned: false
+};
+
 /**
- * Extracts the Creative Link from a given TikTok ad card element.
- * @param {HTMLElement} adCardElement - The DOM element for the TikTok ad card.
- * @returns {string|null} The extracted creative link, or null if not found.
+ * Loads the selector config from the background script and builds what's derived from it.
+ * Selectors and patterns that don't parse (e.g. a typo in a remote config) are replaced by the bundled ones.
+ * The background script is asked a few times, as it may not answer while it starts up.
+ * @returns {Promise<boolean>} True once loaded; false if the background script couldn't be reached.
  */
-function extractTiktokCreativeLink(adCardElement) {
-    // The link is on the "See analytics" button.
-    const linkElement = adCardElement.querySelector('[class*="TopadsVideoCard_cardAction"] a');
-    if (linkElement && linkElement.href) {
-        // The link might be relative, so we convert it to an absolute URL
-        return new URL(linkElement.href, document.baseURI).href;
+async function loadSelectorConfig() {
+    let response = await sendBackgroundMessage("getSelectorConfig");
+    for (const delayMs of SELECTOR_CONFIG_RETRY_DELAYS_MS) {
+        if (response) break;
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+        response = await sendBackgroundMessage("getSelectorConfig");
     }
-    console.warn('[Ad Saver] Creative link not found in:', adCardElement);
-    return null;
+    if (!response) return false;
+
+    const { config, bundledConfig, source } = response;
+    const probe = document.createDocumentFragment();
+    for (const [platform, selectors] of Object.entries(config.platforms)) {
+        for (const [key, selector] of Object.entries(selectors)) {
+            if (typeof selector !== 'string') continue; // Label lists
+            try {
+                probe.querySelector(selector);
+            } catch (error) {
+                console.warn(`[Ad Saver] Invalid selector ${platform}.${key} in config v${config.version}, using the bundled one:`, selector);
+                selectors[key] = bundledConfig.platforms[platform][key];
+                selectorDiagnostics.invalidSelectors.push(`${platform}.${key}`);
+            }
+        }
+    }
+    selectorPatterns = {};
+    for (const [platform, selectors] of Object.entries(config.platforms)) {
+        selectorPatterns[platform] = {};
+        for (const [key, pattern] of Object.entries(selectors.patterns || {})) {
+            try {
+                selectorPatterns[platform][key] = new RegExp(pattern);
+            } catch (error) {
+                console.warn(`[Ad Saver] Invalid pattern ${platform}.patterns.${key} in config v${config.version}, using the bundled one:`, pattern);
+                selectorPatterns[platform][key] = new RegExp(bundledConfig.platforms[platform].patterns[key]);
+                selectorDiagnostics.invalidSelectors.push(`${platform}.patterns.${key}`);
+            }
+        }
+    }
+    selectorConfig = config;
+    fbLibraryIdRegex = new RegExp(`(?:${config.platforms.meta.labels.libraryId.map(escapeRegExp).join('|')})\\s*[:：]\\s*(\\d+)`);
+    selectorDiagnostics.configVersion = config.version;
+    selectorDiagnostics.configSource = source;
+    return true;
 }
 
 /**
- * Creates and injects a "Save Ad" button for a TikTok creative.
- * @param {HTMLElement} adCardElement - The ad card element to inject the button into.
- * @param {string} creativeLink - The creative link for this ad.
+ * Records a candidate ad card found by the selectors, and whether its ID could be extracted.
+ * Cards seen again on later scans are counted once; a card whose ID shows up later counts as extracted then.
+ * @param {Element} candidateElement - The element identifying the candidate (card, link or label).
+ * @param {boolean} wasExtracted - Whether an ID was extracted for it.
  */
-async function addTiktokSaveButtonToAd(adCardElement, creativeLink) {
-    // Use the new, more robust selector for the "See analytics" button's inner div
-    const analyticsButton = adCardElement.querySelector('[class*="CcButton_secondary__"]');
-
-    if (!analyticsButton) {
-        console.warn('[Ad Saver] Could not find analytics button for TikTok, cannot inject save button.');
-        return;
+function recordSelectorMatch(candidateElement, wasExtracted) {
+    if (!selectorDiagnostics.candidates.has(candidateElement)) {
+        selectorDiagnostics.candidates.add(candidateElement);
+        selectorDiagnostics.candidateCount++;
     }
-    
-    // The clickable element is the parent <a> tag. We need to wrap this.
-    const analyticsLink = analyticsButton.closest('a');
-    if (!analyticsLink) {
-         console.warn('[Ad Saver] Could not find analytics link wrapper.');
-         return;
+    if (wasExtracted && !selectorDiagnostics.extracted.has(candidateElement)) {
+        selectorDiagnostics.extracted.add(candidateElement);
+        selectorDiagnostics.extractedCount++;
     }
 
-    // Check if our button wrapper already exists to avoid duplicates
-    if (analyticsLink.parentElement.classList.contains(BUTTON_WRAPPER_CLASS)) {
-        return;
+    const { candidateCount, extractedCount } = selectorDiagnostics;
+    if (!selectorDiagnostics.hasWarned && candidateCount >= DIAGNOSTICS_MIN_CANDIDATES &&
+        extractedCount / candidateCount < DIAGNOSTICS_WARN_RATIO) {
+        selectorDiagnostics.hasWarned = true;
+        console.warn(`[Ad Saver] Only ${extractedCount} of ${candidateCount} candidate ad cards yielded an ID ` +
+            `with selector config v${selectorDiagnostics.configVersion}; the page markup may have changed.`);
     }
+}
 
-    const isSaved = await checkIfAdSaved(creativeLink);
+/**
+ * Summarizes the selector health of this page for the popup.
+ * @returns {object} The platform, config version and source, candidate and extracted counts, and whether to warn.
+ */
+function getSelectorDiagnostics() {
+    const hostname = window.location.hostname;
+    const platform = hostname.includes('facebook.com') ? 'meta'
+        : hostname.includes('tiktok.com') ? 'tiktok'
+        : hostname.includes('google.com') ? 'google'
+        : 'linkedin';
+    const { candidateCount, extractedCount, configVersion, configSource, invalidSelectors } = selectorDiagnostics;
+    return {
+        platform,
+        configLoaded: !!selectorConfig,
+        configVersion,
+        configSource,
+        invalidSelectors,
+        candidateCount,
+        extractedCount,
+        isLowRatio: candidateCount >= DIAGNOSTICS_MIN_CANDIDATES && extractedCount / candidateCount < DIAGNOSTICS_WARN_RATIO
+    };
+}
 
-    const parentContainer = analyticsLink.parentElement;
-    if (!parentContainer) return;
+// The popup asks the active tab for its diagnostics when opened.
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.action === "getSelectorDiagnostics") {
+        sendResponse(getSelectorDiagnostics());
+    }
+    return false;
+});
 
-    // Create a wrapper div that will contain both buttons
-    const flexColumnWrapper = document.createElement('div');
-    flexColumnWrapper.className = BUTTON_WRAPPER_CLASS;
-    flexColumnWrapper.style.display = 'flex';
-    flexColumnWrapper.style.flexDirection = 'column';
-    flexColumnWrapper.style.width = '100%';
-    flexColumnWrapper.style.gap = '8px';
+// --- Keyboard shortcuts ---
+// Every platform marks the cards it added a save button to; the shortcuts act on those.
+const PROCESSED_CARD_SELECTOR = [
+    FB_PROCESSED_MARKER_CLASS,
+    FB_DETAILS_PROCESSED_MARKER_CLASS,
+    TIKTOK_PROCESSED_MARKER_CLASS,
+    GOOGLE_PROCESSED_MARKER_CLASS,
+    LINKEDIN_PROCESSED_MARKER_CLASS
+].map(className => '.' + className).join(', ');
 
-    // Determine theme for color scheme
-    const isDarkMode = document.documentElement.classList.contains('dark') ||
-        window.matchMedia('(prefers-color-scheme: dark)').matches;
-    const primaryColor = isDarkMode
-        ? 'hsl(263.4, 70%, 50.4%)'
-        : 'hsl(262.1, 83.3%, 57.8%)';
+let hoveredAdCard = null;
+let focusedAdCard = null;
 
-    const saveButton = document.createElement('div');
-    const textSpan = document.createElement('span');
-    saveButton.appendChild(textSpan);
+document.addEventListener('mouseover', (event) => {
+    hoveredAdCard = event.target instanceof Element ? event.target.closest(PROCESSED_CARD_SELECTOR) : null;
+}, true);
+document.addEventListener('focusin', (event) => {
+    focusedAdCard = event.target instanceof Element ? event.target.closest(PROCESSED_CARD_SELECTOR) : null;
+}, true);
 
-    if (isSaved) {
-        saveButton.className = TIKTOK_SAVED_BUTTON_CLASS;
-        textSpan.textContent = '✓ Saved to Swipe File';
-        saveButton.style.backgroundColor = isDarkMode ? 'hsl(150, 70%, 30%)' : 'hsl(150, 60%, 40%)';
-        saveButton.style.opacity = '0.85';
-        saveButton.style.cursor = 'default';
-    } else {
-        saveButton.className = TIKTOK_SAVE_BUTTON_CLASS;
-        textSpan.textContent = 'Save Ad to Swipe File';
-        saveButton.style.backgroundColor = primaryColor;
-        saveButton.style.cursor = 'pointer';
+/**
+ * Returns the save button inside a processed ad card.
+ * @param {HTMLElement} adCardElement - A processed ad card.
+ * @returns {HTMLElement|null}
+ */
+function getCardSaveButton(adCardElement) {
+    return adCardElement.querySelector('[data-ad-saver-state]');
+}
 
-        saveButton.addEventListener('click', (event) => {
-            event.preventDefault();
-            event.stopPropagation();
-
-            saveButton.style.opacity = '0.7';
-            textSpan.textContent = 'Saving...';
-            saveButton.setAttribute('disabled', 'true');
-
-            chrome.runtime.sendMessage(
-                { action: "saveAdViaSwipeFileTab", data: { libraryId: creativeLink, isTiktok: true } },
-                (response) => {
-                    if (chrome.runtime.lastError) {
-                        console.error('[Ad Saver] Error:', chrome.runtime.lastError.message);
-                        textSpan.textContent = 'Error';
-                    } else if (response && response.success) {
-                        textSpan.textContent = '✓ Saved to Swipe File';
-                        saveButton.className = TIKTOK_SAVED_BUTTON_CLASS;
-                        saveButton.style.backgroundColor = isDarkMode ? 'hsl(150, 70%, 30%)' : 'hsl(150, 60%, 40%)';
-                        saveButton.style.opacity = '0.85';
-                        saveButton.replaceWith(saveButton.cloneNode(true)); // Removes listener
-                        alert(response.message || 'Ad saved successfully!');
-                    } else {
-                        textSpan.textContent = 'Save Failed';
-                        let alertMessage = `Failed to save ad. Reason: ${response ? response.message : 'Unknown error'}`;
-                        if (response && response.redirectToLogin) {
-                            alert('You need to be logged into Swipe File. Redirecting...');
-                            window.open(ADVERT_FARM_LOGIN_URL, '_blank');
-                        } else {
-                             alert(alertMessage);
-                        }
-                    }
-
-                    // Re-enable button on failure
-                    if (!(response && response.success)) {
-                         setTimeout(() => {
-                            textSpan.textContent = 'Save Ad to Swipe File';
-                            saveButton.style.opacity = '1';
-                            saveButton.removeAttribute('disabled');
-                        }, 2000);
-                    }
-                }
-            );
-        });
-    }
+/**
+ * Briefly outlines an ad card so it's clear which one a shortcut acted on.
+ * @param {HTMLElement} adCardElement - The ad card.
+ */
+function highlightAdCard(adCardElement) {
+    const { primaryColor } = getSaveButtonColors();
+    const previousOutline = adCardElement.style.outline;
+    adCardElement.style.outline = `3px solid ${primaryColor}`;
+    setTimeout(() => { adCardElement.style.outline = previousOutline; }, 1200);
+}
 
-    // Common styling for the button
-    saveButton.style.color = 'white';
-    saveButton.style.border = 'none';
-    const analyticsStyles = window.getComputedStyle(analyticsButton);
-    saveButton.style.borderRadius = 'var(--radius, 0.5rem)'; // Match Facebook style
-    saveButton.style.padding = analyticsStyles.padding;
-    saveButton.style.height = analyticsButton.offsetHeight + 'px';
-    saveButton.style.width = '100%';
-    textSpan.style.fontWeight = 'bold';
+/**
+ * Saves an ad card through its save button, the same way a click does.
+ * @param {HTMLElement} adCardElement - A processed ad card.
+ */
+function saveAdCard(adCardElement) {
+    const saveButton = getCardSaveButton(adCardElement);
+    if (!saveButton) return;
 
-    // Replace the original button with our wrapper
-    parentContainer.insertBefore(flexColumnWrapper, analyticsLink);
-    
-    // Move our new button and the original button into the wrapper.
-    // Save button is first, so it appears on top.
-    flexColumnWrapper.appendChild(saveButton);
-    flexColumnWrapper.appendChild(analyticsLink);
-    console.log('[Ad Saver] Successfully added TikTok save button for creative:', creativeLink);
+    highlightAdCard(adCardElement);
+    const state = saveButton.dataset.adSaverState;
+    if (state === 'saved') {
+        showToast({ type: 'info', message: 'This ad is already saved to Swipe File.' });
+    } else if (state === 'idle' || state === 'queued') {
+        requestAdSave(saveButton).then(response => reportSaveOutcome(response, saveButton));
+    }
+    // Otherwise a save or removal is already in flight
 }
 
 /**
- * Finds all TikTok ad cards on the page and processes them.
+ * Saves the ad under the cursor, or the one containing the focused element.
  */
-function findAndProcessTiktokAds() {
-    // Use a more robust selector that looks for a partial class name.
-    const adCards = document.querySelectorAll('[class*="TopadsVideoCard_card__"]');
-    console.log(`[Ad Saver] Found ${adCards.length} TikTok ad cards to process.`);
+function saveHoveredAd() {
+    const adCardElement = (hoveredAdCard && hoveredAdCard.isConnected && hoveredAdCard) ||
+        (focusedAdCard && focusedAdCard.isConnected && focusedAdCard);
+    if (!adCardElement) {
+        showToast({ type: 'info', message: 'Hover over an ad (or focus its save button) to save it with the shortcut.' });
+        return;
+    }
+    saveAdCard(adCardElement);
+}
 
-    for (const adCard of adCards) {
-        if (adCard.classList.contains(TIKTOK_PROCESSED_MARKER_CLASS)) {
-            continue;
-        }
+/**
+ * Scrolls to the first unsaved ad that hasn't been scrolled past yet and saves it.
+ */
+function saveNextUnsavedAd() {
+    const nextAdCard = Array.from(document.querySelectorAll(PROCESSED_CARD_SELECTOR)).find((adCardElement) => {
+        const saveButton = getCardSaveButton(adCardElement);
+        return saveButton &&
+            (saveButton.dataset.adSaverState === 'idle' || saveButton.dataset.adSaverState === 'queued') &&
+            adCardElement.getBoundingClientRect().bottom > 0;
+    });
+    if (!nextAdCard) {
+        showToast({ type: 'info', message: 'No unsaved ads left below this point. Scroll to load more.' });
+        return;
+    }
+    nextAdCard.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    saveAdCard(nextAdCard);
+}
 
-        const creativeLink = extractTiktokCreativeLink(adCard);
+chrome.runtime.onMessage.addListener((request) => {
+    if (request.action === "runCommand") {
+        if (request.data.command === 'save-hovered-ad') {
+            saveHoveredAd();
+        } else if (request.data.command === 'save-next-unsaved-ad') {
+            saveNextUnsavedAd();
+        }
+    }
+    return false;
+});
 
-        if (creativeLink) {
-            addTiktokSaveButtonToAd(adCard, creativeLink);
-            adCard.classList.add(TIKTOK_PROCESSED_MARKER_CLASS);
+// Queued saves are retried by the background script; it reports back when one goes through or gives up.
+// It also reports saves started outside the page, such as from the context menu.
+chrome.runtime.onMessage.addListener((request) => {
+    if (request.action === "queuedSaveResolved") {
+        const { libraryId, success, message } = request.data;
+        setCachedAdSaveStatus(libraryId, success, false);
+        for (const saveButton of findSaveButtons(libraryId)) {
+            setSaveButtonState(saveButton, success ? 'saved' : 'idle');
         }
+        if (success) {
+            showToast({ type: 'success', message: 'A queued ad was saved to Swipe File.' });
+        } else {
+            console.error(`[Ad Saver] Queued save for ${libraryId} failed:`, message);
+            showToast({ type: 'error', title: 'Queued save failed', message: message || 'Unknown error' });
+        }
+    } else if (request.action === "showToast") {
+        // Outcome of a save started elsewhere, e.g. from the context menu
+        showToast(request.data);
+    }
+    return false;
+});
+
+/**
+ * Shows a save status on a button, unless a save or removal is in flight or it already shows it.
+ * @param {HTMLElement} saveButton - A button created by createSaveButton.
+ * @param {'saved'|'queued'|'idle'} state - The state to show.
+ */
+function applyAdSaveState(saveButton, state) {
+    const currentState = saveButton.dataset.adSaverState;
+    if (currentState === state || currentState === 'saving' || currentState === 'removing') return;
+
+    if (state !== 'saved') {
+        const config = saveButtonConfigs.get(saveButton);
+        config.undoUntil = 0;
+        config.confirmRemoveUntil = 0;
     }
+    setSaveButtonState(saveButton, state);
 }
 
-const debouncedProcessTiktokAds = debounce(findAndProcessTiktokAds, 500);
+/**
+ * Looks up the status of every ad with a button on the page again and updates the buttons.
+ * @returns {Promise<void>}
+ */
+async function refreshAllSaveButtons() {
+    adSaveStatusCache.clear();
+    const saveButtons = Array.from(document.querySelectorAll('[data-ad-saver-state]'));
+    const statuses = await getAdSaveStatuses(saveButtons.map(button => button.dataset.adSaverLibraryId));
+    for (const saveButton of saveButtons) {
+        const { isSaved, isQueued } = statuses[saveButton.dataset.adSaverLibraryId];
+        applyAdSaveState(saveButton, isSaved ? 'saved' : isQueued ? 'queued' : 'idle');
+    }
+}
 
-const tiktokObserver = new MutationObserver((mutationsList) => {
-    for (const mutation of mutationsList) {
-        if (mutation.type === 'childList' && mutation.addedNodes.length > 0) {
-            debouncedProcessTiktokAds();
-            return;
+// Saves, removals and queue changes made in other tabs (or by the background script) are broadcast to every tab.
+chrome.runtime.onMessage.addListener((request) => {
+    if (request.action === "adStatesChanged") {
+        for (const [libraryId, transition] of Object.entries(request.data.transitions)) {
+            adSaveStatusCache.delete(libraryId); // Looked up again next time it's needed
+            for (const saveButton of findSaveButtons(libraryId)) {
+                const state = saveButton.dataset.adSaverState;
+                if (transition === 'saved') {
+                    applyAdSaveState(saveButton, 'saved');
+                } else if (transition === 'unsaved' && state === 'saved') {
+                    applyAdSaveState(saveButton, 'idle');
+                } else if (transition === 'queued' && state === 'idle') {
+                    applyAdSaveState(saveButton, 'queued');
+                } else if (transition === 'dequeued' && state === 'queued') {
+                    applyAdSaveState(saveButton, 'idle');
+                }
+            }
         }
+    } else if (request.action === "savedIndexReset") {
+        // Logged in or out, or switched default organization
+        refreshAllSaveButtons();
     }
+    return false;
 });
 
 /**
  * Initial setup run when the content script loads.
  */
-function initialSetup() {
+async function initialSetup() {
+    // Without selectors there's nothing to scan with; the diagnostics report the config as missing.
+    if (!await loadSelectorConfig()) return;
     const hostname = window.location.hostname;
 
     if (hostname.includes('facebook.com')) {
+        // Rules apply as cards get their buttons, so they're needed before the first scan
+        await loadAutoSaveRules();
+
         // Initial scans for ads already on the page.
         setTimeout(findAndProcessFacebookAds, 1000);
         setTimeout(findAndProcessFacebookAds, 3000);
@@ -506,7 +3031,9 @@ function initialSetup() {
         const targetNode = document.body;
         const observerConfig = { childList: true, subtree: true };
         facebookObserver.observe(targetNode, observerConfig);
-    } else if (hostname.includes('ads.tiktok.com')) {
+
+        createBulkToolbar();
+    } else if (hostname === 'ads.tiktok.com' || hostname === 'library.tiktok.com') {
         setTimeout(findAndProcessTiktokAds, 1000);
         setTimeout(findAndProcessTiktokAds, 3000);
         setTimeout(findAndProcessTiktokAds, 5000);
@@ -514,6 +3041,22 @@ function initialSetup() {
         const targetNode = document.body;
         const observerConfig = { childList: true, subtree: true };
         tiktokObserver.observe(targetNode, observerConfig);
+    } else if (hostname.includes('adstransparency.google.com')) {
+        setTimeout(findAndProcessGoogleAds, 1000);
+        setTimeout(findAndProcessGoogleAds, 3000);
+        setTimeout(findAndProcessGoogleAds, 5000);
+
+        const targetNode = document.body;
+        const observerConfig = { childList: true, subtree: true };
+        googleObserver.observe(targetNode, observerConfig);
+    } else if (hostname.includes('linkedin.com')) {
+        setTimeout(findAndProcessLinkedinAds, 1000);
+        setTimeout(findAndProcessLinkedinAds, 3000);
+        setTimeout(findAndProcessLinkedinAds, 5000);
+
+        const targetNode = document.body;
+        const observerConfig = { childList: true, subtree: true };
+        linkedinObserver.observe(targetNode, observerConfig);
     }
 }
 
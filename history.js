@@ -0,0 +1,327 @@
+// history.js
+
+const ARCHIVE_DB_NAME = "adSaverArchive"; // Must match background.js
+const ARCHIVE_STORE_NAME = "creatives";
+const ARCHIVE_SUMMARY_STORE_NAME = "summaries";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LIBRARY_LABELS = {
+    meta: 'Meta',
+    tiktok: 'TikTok',
+    google: 'Google',
+    linkedin: 'LinkedIn'
+};
+const ACTION_LABELS = {
+    save: 'Save',
+    retry: 'Retry',
+    remove: 'Remove'
+};
+const OUTCOME_LABELS = {
+    success: 'Success',
+    queued: 'Queued',
+    failure: 'Failed'
+};
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+    'timestamp', 'library', 'libraryId', 'sourceUrl', 'advertiserName', 'organizationName',
+    'organizationId', 'action', 'outcome', 'attempt', 'tags', 'message'
+];
+
+let saveHistory = []; // All entries, newest first
+let archiveDatabase = null; // Open while the page is, unless the background script upgrades it
+let archivedCreatives = new Map(); // Archive summaries by libraryId, without the file contents
+const archiveObjectUrls = new Map(); // Object URLs of archived files, created once per file
+
+/**
+ * Reads the summaries from the archive of saved ads' media (see archiveAdCreatives in background.js).
+ * The files themselves are read per row, once it is shown (see loadArchivedFiles).
+ * @returns {Promise<Array<object>>} The summaries; empty if nothing was ever archived.
+ */
+function loadArchivedCreatives() {
+    return new Promise((resolve) => {
+        const request = indexedDB.open(ARCHIVE_DB_NAME);
+        request.onupgradeneeded = () => {
+            // Nothing archived yet; don't create the database here, the background script owns its schema
+            request.transaction.abort();
+        };
+        request.onsuccess = () => {
+            const database = request.result;
+            // Archives from before the summaries store are listed once the background script has upgraded them
+            if (!database.objectStoreNames.contains(ARCHIVE_SUMMARY_STORE_NAME)) {
+                database.close();
+                resolve([]);
+                return;
+            }
+            database.onversionchange = () => {
+                database.close();
+                archiveDatabase = null;
+            };
+            archiveDatabase = database;
+            const getAll = database.transaction(ARCHIVE_SUMMARY_STORE_NAME, 'readonly').objectStore(ARCHIVE_SUMMARY_STORE_NAME).getAll();
+            getAll.onsuccess = () => resolve(getAll.result);
+            getAll.onerror = () => resolve([]);
+        };
+        request.onerror = () => resolve([]);
+    });
+}
+
+/**
+ * Reads the files of one archived ad.
+ * @param {string} libraryId - The library ID of the ad.
+ * @returns {Promise<Array<object>>} The files with their contents; empty if they can't be read.
+ */
+function loadArchivedFiles(libraryId) {
+    return new Promise((resolve) => {
+        if (!archiveDatabase) {
+            resolve([]);
+            return;
+        }
+        const get = archiveDatabase.transaction(ARCHIVE_STORE_NAME, 'readonly').objectStore(ARCHIVE_STORE_NAME).get(libraryId);
+        get.onsuccess = () => resolve(get.result ? get.result.files : []);
+        get.onerror = () => resolve([]);
+    });
+}
+
+// Fills in the links of archive cells as they scroll into view, so only the files of shown rows are read.
+const archiveCellObserver = new IntersectionObserver((observerEntries) => {
+    for (const observerEntry of observerEntries) {
+        if (!observerEntry.isIntersecting) continue;
+        const cell = observerEntry.target;
+        archiveCellObserver.unobserve(cell);
+        const { libraryId } = cell.dataset;
+        loadArchivedFiles(libraryId).then((files) => {
+            files.forEach((file, index) => {
+                const key = `${libraryId}:${index}`;
+                if (!archiveObjectUrls.has(key)) {
+                    archiveObjectUrls.set(key, URL.createObjectURL(file.blob));
+                }
+                const link = cell.querySelector(`a[data-file-index="${index}"]`);
+                if (link) link.href = archiveObjectUrls.get(key);
+            });
+        });
+    }
+}, { rootMargin: '200px' });
+
+/**
+ * Adds an option for each distinct value to a filter dropdown, keeping its "All" option.
+ * @param {HTMLSelectElement} select - The dropdown.
+ * @param {Array<{value: string, label: string}>} options - The options to add.
+ */
+function fillFilterOptions(select, options) {
+    select.length = 1;
+    for (const { value, label } of options) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    }
+}
+
+/**
+ * Returns the history entries matching the current filters.
+ * @returns {Array<object>}
+ */
+function getFilteredHistory() {
+    const periodDays = Number(document.getElementById('filter-period').value);
+    const since = periodDays ? Date.now() - periodDays * DAY_MS : 0;
+    const library = document.getElementById('filter-library').value;
+    const organizationId = document.getElementById('filter-organization').value;
+    const action = document.getElementById('filter-action').value;
+    const outcome = document.getElementById('filter-outcome').value;
+    const search = document.getElementById('filter-search').value.trim().toLowerCase();
+
+    return saveHistory.filter(entry =>
+        entry.timestamp >= since &&
+        (!library || entry.library === library) &&
+        (!organizationId || entry.organizationId === organizationId) &&
+        (!action || entry.action === action) &&
+        (!outcome || entry.outcome === outcome) &&
+        (!search || [entry.libraryId, entry.advertiserName, ...(entry.tags || [])]
+            .some(value => value && String(value).toLowerCase().includes(search)))
+    );
+}
+
+/**
+ * Summarizes the filtered entries: how many ads were saved, per platform.
+ * @param {Array<object>} entries - The filtered entries.
+ * @returns {string}
+ */
+function summarizeHistory(entries) {
+    const savedCounts = {};
+    for (const entry of entries) {
+        if (entry.action !== 'remove' && entry.outcome === 'success') {
+            savedCounts[entry.library] = (savedCounts[entry.library] || 0) + 1;
+        }
+    }
+    const total = Object.values(savedCounts).reduce((sum, count) => sum + count, 0);
+    const perPlatform = Object.entries(savedCounts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([library, count]) => `${LIBRARY_LABELS[library] || library} ${count}`)
+        .join(', ');
+    return `${entries.length} entries · ${total} ads saved${perPlatform ? ` (${perPlatform})` : ''}`;
+}
+
+/**
+ * Creates links to an ad's archived media files. They get their address once
+ * the cell is shown and the files are read (see archiveCellObserver).
+ * @param {object} record - The ad's archive summary.
+ * @returns {DocumentFragment}
+ */
+function createArchiveLinks(record) {
+    const fragment = document.createDocumentFragment();
+    record.files.forEach((file, index) => {
+        const link = document.createElement('a');
+        const key = `${record.libraryId}:${index}`;
+        if (archiveObjectUrls.has(key)) {
+            link.href = archiveObjectUrls.get(key);
+        }
+        link.dataset.fileIndex = index;
+        link.target = '_blank';
+        link.textContent = file.kind;
+        if (index > 0) fragment.appendChild(document.createTextNode(' · '));
+        fragment.appendChild(link);
+    });
+    return fragment;
+}
+
+/**
+ * Renders the filtered entries as table rows.
+ */
+function renderHistory() {
+    const entries = getFilteredHistory();
+    document.getElementById('summary').textContent = summarizeHistory(entries);
+
+    const tbody = document.getElementById('history-rows');
+    tbody.textContent = '';
+    archiveCellObserver.disconnect();
+    for (const entry of entries) {
+        const row = document.createElement('tr');
+        const addCell = (content, className) => {
+            const cell = document.createElement('td');
+            if (className) cell.className = className;
+            if (content instanceof Node) {
+                cell.appendChild(content);
+            } else {
+                cell.textContent = content || '';
+            }
+            row.appendChild(cell);
+            return cell;
+        };
+
+        const time = document.createElement('time');
+        time.dateTime = new Date(entry.timestamp).toISOString();
+        time.textContent = new Date(entry.timestamp).toLocaleString();
+        addCell(time);
+        addCell(LIBRARY_LABELS[entry.library] || entry.library);
+
+        let adContent = entry.libraryId;
+        if (entry.sourceUrl) {
+            adContent = document.createElement('a');
+            adContent.href = entry.sourceUrl;
+            adContent.target = '_blank';
+            adContent.rel = 'noopener';
+            adContent.textContent = entry.libraryId;
+        }
+        addCell(adContent, 'ad').title = entry.libraryId;
+        addCell(entry.advertiserName);
+        addCell(entry.organizationName || entry.organizationId);
+        addCell(entry.attempt ? `${ACTION_LABELS[entry.action]} #${entry.attempt}` : ACTION_LABELS[entry.action]);
+        addCell(OUTCOME_LABELS[entry.outcome], `outcome-${entry.outcome}`);
+        addCell([entry.message, (entry.tags || []).length ? `Tags: ${entry.tags.join(', ')}` : null].filter(Boolean).join(' · '), 'muted');
+
+        const record = archivedCreatives.get(entry.libraryId);
+        const archiveCell = addCell(record && entry.action !== 'remove' ? createArchiveLinks(record) : null);
+        if (archiveCell.firstChild && !archiveCell.querySelector('a[href]')) {
+            archiveCell.dataset.libraryId = entry.libraryId;
+            archiveCellObserver.observe(archiveCell);
+        }
+
+        tbody.appendChild(row);
+    }
+}
+
+/**
+ * Quotes a value for CSV. Values that spreadsheets would run as formulas are prefixed with an apostrophe.
+ * @param {*} value
+ * @returns {string}
+ */
+function toCsvValue(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Downloads text as a file.
+ * @param {string} content - The file contents.
+ * @param {string} mimeType - The file type.
+ * @param {string} fileName - The suggested file name.
+ */
+function downloadFile(content, mimeType, fileName) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Downloads the filtered entries as CSV, one row per entry.
+function exportCsv() {
+    const rows = getFilteredHistory().map(entry => CSV_COLUMNS.map((column) => {
+        if (column === 'timestamp') return toCsvValue(new Date(entry.timestamp).toISOString());
+        if (column === 'tags') return toCsvValue((entry.tags || []).join(';'));
+        return toCsvValue(entry[column]);
+    }).join(','));
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile([CSV_COLUMNS.join(','), ...rows].join('\r\n'), 'text/csv', `ad-saver-history-${date}.csv`);
+}
+
+// Downloads the filtered entries as JSON.
+function exportJson() {
+    const entries = getFilteredHistory().map(entry => ({ ...entry, timestamp: new Date(entry.timestamp).toISOString() }));
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(JSON.stringify(entries, null, 2), 'application/json', `ad-saver-history-${date}.json`);
+}
+
+// Deletes the whole history after confirmation.
+async function clearHistory() {
+    if (!confirm('Delete the whole save history? Saved ads and archived media are not affected.')) return;
+    await sendBackgroundMessage('clearSaveHistory');
+    saveHistory = [];
+    renderHistory();
+}
+
+// Loads the history and archive, fills the filters and renders the table.
+async function initHistoryPage() {
+    const [historyResponse, archiveRecords] = await Promise.all([
+        sendBackgroundMessage('getSaveHistory'),
+        loadArchivedCreatives()
+    ]);
+    saveHistory = ((historyResponse && historyResponse.history) || []).slice().reverse();
+    archivedCreatives = new Map(archiveRecords.map(record => [record.libraryId, record]));
+
+    const libraries = [...new Set(saveHistory.map(entry => entry.library))];
+    fillFilterOptions(document.getElementById('filter-library'),
+        libraries.map(library => ({ value: library, label: LIBRARY_LABELS[library] || library })));
+    const organizations = new Map();
+    for (const entry of saveHistory) {
+        if (entry.organizationId && !organizations.has(entry.organizationId)) {
+            organizations.set(entry.organizationId, entry.organizationName || entry.organizationId);
+        }
+    }
+    fillFilterOptions(document.getElementById('filter-organization'),
+        Array.from(organizations, ([value, label]) => ({ value, label })));
+
+    for (const id of ['filter-period', 'filter-library', 'filter-organization', 'filter-action', 'filter-outcome']) {
+        document.getElementById(id).addEventListener('change', renderHistory);
+    }
+    document.getElementById('filter-search').addEventListener('input', renderHistory);
+    document.getElementById('export-csv').addEventListener('click', exportCsv);
+    document.getElementById('export-json').addEventListener('click', exportJson);
+    document.getElementById('clear-history').addEventListener('click', clearHistory);
+
+    renderHistory();
+}
+
+document.addEventListener('DOMContentLoaded', initHistoryPage);
@@ -0,0 +1,21 @@
+// messaging.js
+// Loaded before content.js and the scripts of the popup, options and history pages.
+
+/**
+ * Sends a message to the background script.
+ * @param {string} action - The action name handled in background.js.
+ * @param {object} [data] - Data for the action.
+ * @returns {Promise<object|null>} The response, or null if the background script could not be reached.
+ */
+function sendBackgroundMessage(action, data) {
+    return new Promise((resolve) => {
+        chrome.runtime.sendMessage({ action, data }, (response) => {
+            if (chrome.runtime.lastError) {
+                console.error(`[Ad Saver] Error sending "${action}" to background:`, chrome.runtime.lastError.message);
+                resolve(null);
+            } else {
+                resolve(response);
+            }
+        });
+    });
+}
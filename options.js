@@ -0,0 +1,85 @@
+// options.js
+
+/**
+ * Splits a comma-separated field into trimmed, non-empty values.
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+function parseList(value) {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Adds an editable rule to the list.
+ * @param {object} [rule] - The rule to edit; a new, enabled rule if omitted.
+ */
+function addRuleElement(rule = { name: '', action: 'save', advertisers: [], keywords: [], minDaysRunning: null, enabled: true }) {
+    const element = document.getElementById('rule-template').content.firstElementChild.cloneNode(true);
+    const field = name => element.querySelector(`[data-field="${name}"]`);
+
+    field('name').value = rule.name;
+    field('action').value = rule.action;
+    field('advertisers').value = rule.advertisers.join(', ');
+    field('keywords').value = rule.keywords.join(', ');
+    field('minDaysRunning').value = rule.minDaysRunning || '';
+    field('enabled').checked = rule.enabled;
+    element.classList.toggle('disabled', !rule.enabled);
+
+    field('enabled').addEventListener('change', () => element.classList.toggle('disabled', !field('enabled').checked));
+    element.querySelector('[data-role="delete"]').addEventListener('click', () => {
+        element.remove();
+        updateEmptyState();
+    });
+
+    document.getElementById('rules').appendChild(element);
+    updateEmptyState();
+}
+
+// Shows the "No rules yet" note when the list is empty.
+function updateEmptyState() {
+    document.getElementById('no-rules').hidden = document.getElementById('rules').children.length > 0;
+}
+
+/**
+ * Reads the rules back from the form. Rules without any criteria are kept but never match.
+ * @returns {Array<object>}
+ */
+function readRules() {
+    return Array.from(document.getElementById('rules').children, (element, index) => {
+        const field = name => element.querySelector(`[data-field="${name}"]`);
+        const minDaysRunning = parseInt(field('minDaysRunning').value, 10);
+        return {
+            name: field('name').value.trim() || `Rule ${index + 1}`,
+            action: field('action').value,
+            advertisers: parseList(field('advertisers').value),
+            keywords: parseList(field('keywords').value),
+            minDaysRunning: minDaysRunning > 0 ? minDaysRunning : null,
+            enabled: field('enabled').checked
+        };
+    });
+}
+
+// Saves the rules and session cap.
+async function saveRules() {
+    const sessionCap = Math.max(0, parseInt(document.getElementById('session-cap').value, 10) || 0);
+    const status = document.getElementById('save-status');
+    const response = await sendBackgroundMessage('setAutoSaveRules', { rules: readRules(), sessionCap });
+    status.textContent = response && response.success ? 'Saved.' : 'Could not save the rules.';
+    setTimeout(() => { status.textContent = ''; }, 3000);
+}
+
+// Loads the current rules into the form.
+async function initOptionsPage() {
+    const response = await sendBackgroundMessage('getAutoSaveRules');
+    if (response) {
+        response.rules.forEach(rule => addRuleElement(rule));
+        document.getElementById('session-cap').value = response.sessionCap;
+        document.getElementById('session-count').textContent = `(${response.savedThisSession} so far)`;
+    }
+    updateEmptyState();
+
+    document.getElementById('add-rule').addEventListener('click', () => addRuleElement());
+    document.getElementById('save-rules').addEventListener('click', saveRules);
+}
+
+document.addEventListener('DOMContentLoaded', initOptionsPage);
@@ -0,0 +1,334 @@
+// popup.js
+
+const ADVERT_FARM_LOGIN_URL = 'https://www.swipefile.pro/'; // Or your specific login page
+const POPUP_RECENT_SAVES_COUNT = 10; // How many of the recent saves to list
+
+const LIBRARY_LABELS = {
+    meta: 'Meta',
+    tiktok: 'TikTok',
+    google: 'Google',
+    linkedin: 'LinkedIn'
+};
+
+/**
+ * Creates a link that opens in a new tab.
+ * @param {string} href - The link target.
+ * @param {string} text - The link text.
+ * @returns {HTMLAnchorElement}
+ */
+function createExternalLink(href, text) {
+    const link = document.createElement('a');
+    link.href = href;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = text;
+    return link;
+}
+
+/**
+ * Formats a timestamp as a short relative time ("5m ago").
+ * @param {number} timestamp - Milliseconds since the epoch.
+ * @returns {string}
+ */
+function formatRelativeTime(timestamp) {
+    const minutes = Math.floor((Date.now() - timestamp) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes}m ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ago`;
+    return `${Math.floor(hours / 24)}d ago`;
+}
+
+/**
+ * Shows whether the user is logged into Swipe File.
+ * @param {object|null} sessionData - The session from checkSwipeFileSession, or null.
+ */
+function renderSession(sessionData) {
+    const container = document.getElementById('session-status');
+    container.textContent = '';
+
+    const dot = document.createElement('span');
+    dot.className = 'status-dot';
+    container.appendChild(dot);
+
+    if (sessionData && sessionData.user) {
+        dot.classList.add('active');
+        const { name, email } = sessionData.user;
+        container.appendChild(document.createTextNode(`Logged in as ${name || email || 'unknown user'}`));
+    } else {
+        dot.classList.add('inactive');
+        container.appendChild(document.createTextNode('Not logged in. '));
+        container.appendChild(createExternalLink(ADVERT_FARM_LOGIN_URL, 'Log in to Swipe File'));
+    }
+}
+
+/**
+ * Fills the organization picker; changing it sets the default organization for saves.
+ * @param {Array<{id: string, name: string}>} organizations - The user's organizations.
+ * @param {string|null} selectedOrgId - The current default organization.
+ */
+function renderOrganizations(organizations, selectedOrgId) {
+    const select = document.getElementById('organization-select');
+    const status = document.getElementById('organization-status');
+    select.textContent = '';
+    status.textContent = '';
+    status.classList.remove('warning');
+
+    if (organizations.length === 0) {
+        const emptyOption = document.createElement('option');
+        emptyOption.textContent = 'No organizations found';
+        select.appendChild(emptyOption);
+        select.disabled = true;
+        return;
+    }
+
+    if (!selectedOrgId) {
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Choose an organization...';
+        placeholder.selected = true;
+        placeholder.disabled = true;
+        select.appendChild(placeholder);
+        status.classList.add('warning');
+        status.textContent = 'Choose where saved ads should go.';
+    }
+    for (const org of organizations) {
+        const option = document.createElement('option');
+        option.value = org.id;
+        option.textContent = org.name;
+        option.selected = org.id === selectedOrgId;
+        select.appendChild(option);
+    }
+    select.disabled = false;
+}
+
+// Stores the picked organization as the default for saves.
+function onOrganizationChange(event) {
+    const organizationId = event.target.value;
+    sendBackgroundMessage('setSelectedOrg', { organizationId }).then(() => {
+        const status = document.getElementById('organization-status');
+        status.classList.remove('warning');
+        status.textContent = 'Saved ads will go to this organization.';
+    });
+}
+
+/**
+ * Shows the default tags as a comma separated list.
+ * @param {Array<string>} defaultTags - The tags applied to plain-click saves.
+ */
+function renderDefaultTags(defaultTags) {
+    document.getElementById('default-tags').value = defaultTags.join(', ');
+}
+
+// Stores the typed tags as the defaults for plain-click saves.
+function onDefaultTagsChange(event) {
+    const tags = event.target.value.split(',').map(tag => tag.trim()).filter(Boolean);
+    sendBackgroundMessage('setDefaultTags', { tags });
+}
+
+/**
+ * Formats a byte count for display ("12.3 MB").
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Shows whether saves archive their media, and how much is archived.
+ * @param {boolean} archiveEnabled - Whether archiving is on.
+ * @param {{adCount: number, totalBytes: number}} archiveStats - What's in the archive.
+ */
+function renderArchive(archiveEnabled, archiveStats) {
+    document.getElementById('archive-enabled').checked = archiveEnabled;
+    const status = document.getElementById('archive-status');
+    status.textContent = archiveStats.adCount > 0
+        ? `${archiveStats.adCount} ads archived · ${formatBytes(archiveStats.totalBytes)}`
+        : 'Nothing archived yet.';
+}
+
+// Turns archiving of saved ads' media on or off.
+function onArchiveEnabledChange(event) {
+    const checkbox = event.target;
+    sendBackgroundMessage('setArchiveEnabled', { enabled: checkbox.checked });
+    if (!checkbox.checked) return;
+
+    // Access to the media CDNs is only asked for now, and must be asked for while handling the click.
+    // Archiving stays off without it (see isArchiveEnabled in background.js), even if the popup closes first.
+    chrome.permissions.request({ origins: chrome.runtime.getManifest().optional_host_permissions }).then((granted) => {
+        if (!granted) {
+            checkbox.checked = false;
+            sendBackgroundMessage('setArchiveEnabled', { enabled: false });
+        }
+    });
+}
+
+/**
+ * Shows how many saves are waiting to be retried or have failed.
+ * @param {number} pendingSaveCount - Saves waiting for a retry.
+ * @param {number} failedSaveCount - Saves that ran out of retries.
+ */
+function renderQueue(pendingSaveCount, failedSaveCount) {
+    const container = document.getElementById('queue-status');
+    if (pendingSaveCount === 0 && failedSaveCount === 0) {
+        container.textContent = 'Nothing waiting.';
+        return;
+    }
+    container.textContent = `${pendingSaveCount} waiting to retry · ${failedSaveCount} failed`;
+    container.classList.remove('muted');
+    container.classList.add('warning');
+}
+
+/**
+ * Lists the most recent saves with links back to the source library.
+ * @param {Array<object>} recentSaves - Entries recorded by addRecentSave in background.js.
+ */
+function renderRecentSaves(recentSaves) {
+    const list = document.getElementById('recent-saves');
+    list.textContent = '';
+
+    if (recentSaves.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'muted';
+        empty.textContent = 'No ads saved yet.';
+        list.appendChild(empty);
+        return;
+    }
+
+    for (const save of recentSaves.slice(0, POPUP_RECENT_SAVES_COUNT)) {
+        const item = document.createElement('li');
+        const label = `${LIBRARY_LABELS[save.library] || save.library} · ${save.libraryId}`;
+        if (save.sourceUrl) {
+            item.appendChild(createExternalLink(save.sourceUrl, label));
+        } else {
+            item.appendChild(document.createTextNode(label));
+        }
+
+        const time = document.createElement('time');
+        time.dateTime = new Date(save.savedAt).toISOString();
+        time.textContent = formatRelativeTime(save.savedAt);
+        item.appendChild(time);
+
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Lists the watched advertisers and searches, each linking back to its Ad Library page.
+ * @param {Array<object>} watches - Watches from the background script, most recently visited first.
+ */
+function renderWatches(watches) {
+    const list = document.getElementById('watches');
+    list.textContent = '';
+
+    if (watches.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'muted';
+        empty.textContent = 'Use "Watch" on a Meta advertiser or search to spot new ads.';
+        list.appendChild(empty);
+        return;
+    }
+
+    for (const watch of watches) {
+        const item = document.createElement('li');
+        item.appendChild(createExternalLink(watch.url, watch.label));
+
+        const time = document.createElement('time');
+        time.dateTime = new Date(watch.lastVisitedAt).toISOString();
+        time.textContent = formatRelativeTime(watch.lastVisitedAt);
+        item.appendChild(time);
+
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Asks the content script in the active tab how well its selectors match the page.
+ * @returns {Promise<object|null>} The diagnostics, or null if the tab isn't a supported ad library page.
+ */
+async function getActiveTabDiagnostics() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab) return null;
+    try {
+        return await chrome.tabs.sendMessage(tab.id, { action: "getSelectorDiagnostics" });
+    } catch (error) {
+        return null; // No content script in this tab
+    }
+}
+
+/**
+ * Shows how many candidate ad cards the active tab found and how many yielded an ID.
+ * @param {object|null} diagnostics - From getSelectorDiagnostics in content.js, or null.
+ */
+function renderDiagnostics(diagnostics) {
+    const container = document.getElementById('diagnostics');
+    container.className = 'muted';
+    if (!diagnostics) {
+        container.textContent = 'Open an ad library page to see how well ads are detected.';
+        return;
+    }
+    if (!diagnostics.configLoaded) {
+        container.className = 'warning';
+        container.textContent = 'Selectors could not be loaded. Reload the page.';
+        return;
+    }
+
+    const { platform, candidateCount, extractedCount, configVersion, configSource, invalidSelectors } = diagnostics;
+    const lines = [
+        `${LIBRARY_LABELS[platform] || platform} · selectors v${configVersion} (${configSource})`,
+        candidateCount > 0
+            ? `${candidateCount} ad cards found · ${extractedCount} IDs extracted (${Math.round(extractedCount / candidateCount * 100)}%)`
+            : 'No ad cards found yet.'
+    ];
+    if (diagnostics.isLowRatio) {
+        container.className = 'warning';
+        lines.push('Many ads could not be identified; the page layout may have changed.');
+    }
+    if (invalidSelectors.length > 0) {
+        container.className = 'warning';
+        lines.push(`Replaced invalid selectors: ${invalidSelectors.join(', ')}`);
+    }
+    container.textContent = '';
+    for (const line of lines) {
+        const row = document.createElement('div');
+        row.textContent = line;
+        container.appendChild(row);
+    }
+}
+
+// Fetches the session, organizations and save overview from the background script and renders the popup.
+async function initPopup() {
+    document.getElementById('organization-select').addEventListener('change', onOrganizationChange);
+    document.getElementById('default-tags').addEventListener('change', onDefaultTagsChange);
+    document.getElementById('archive-enabled').addEventListener('change', onArchiveEnabledChange);
+
+    const [authResponse, overview, watchesResponse, diagnostics] = await Promise.all([
+        sendBackgroundMessage('checkAuth'),
+        sendBackgroundMessage('getSaveOverview'),
+        sendBackgroundMessage('getWatches'),
+        getActiveTabDiagnostics()
+    ]);
+    renderDiagnostics(diagnostics);
+    const sessionData = authResponse && authResponse.sessionData;
+    renderSession(sessionData);
+
+    // Only hit the API for a fresh list when logged in; otherwise show the cached one.
+    const orgResponse = await sendBackgroundMessage('getOrganizations', { refresh: !!sessionData });
+    if (orgResponse) {
+        renderOrganizations(orgResponse.organizations, orgResponse.selectedOrgId);
+    }
+
+    if (overview) {
+        renderDefaultTags(overview.defaultTags);
+        renderArchive(overview.archiveEnabled, overview.archiveStats);
+        renderQueue(overview.pendingSaveCount, overview.failedSaveCount);
+        renderRecentSaves(overview.recentSaves);
+    }
+    if (watchesResponse) {
+        renderWatches(watchesResponse.watches);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initPopup);
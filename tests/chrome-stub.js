@@ -0,0 +1,32 @@
+// chrome-stub.js
+// The few extension APIs content.js uses, for running it on a plain page against fixtures.
+// Messages to the background script are answered as a logged-out extension with the bundled selectors would.
+
+/**
+ * Answers a message the way background.js would for these checks.
+ * @param {object} message - The message sent by content.js.
+ * @returns {Promise<object>}
+ */
+async function answerBackgroundMessage(message) {
+    if (message.action === "getSelectorConfig") {
+        const config = await (await fetch('../selectors.json')).json();
+        return { config, bundledConfig: JSON.parse(JSON.stringify(config)), source: 'bundled' };
+    }
+    if (message.action === "checkAdsSaved") {
+        return { statuses: {} };
+    }
+    return {};
+}
+
+window.chrome = {
+    runtime: {
+        lastError: undefined,
+        sendMessage(message, callback) {
+            answerBackgroundMessage(message).then(response => callback && callback(response));
+        },
+        onMessage: { addListener() {} }
+    },
+    storage: {
+        onChanged: { addListener() {} }
+    }
+};
@@ -0,0 +1,116 @@
+// meta-detection.js
+// Checks that each fixture's cards are found, with the right Library ID, start date and details button.
+
+const META_FIXTURES = ['en', 'es', 'de', 'pt', 'fr', 'pl'];
+
+/**
+ * Adds a result row to the table.
+ * @param {string} fixture - The fixture name.
+ * @param {number} cardIndex - The card's position in the fixture.
+ * @param {string} check - What was checked.
+ * @param {string} expected - The expected value.
+ * @param {string} actual - The value found.
+ * @returns {boolean} Whether the check passed.
+ */
+function addResult(fixture, cardIndex, check, expected, actual) {
+    const passed = expected === actual;
+    const row = document.createElement('tr');
+    row.className = passed ? 'pass' : 'fail';
+    for (const value of [fixture, String(cardIndex + 1), check, expected, actual]) {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+    }
+    document.getElementById('results').appendChild(row);
+    return passed;
+}
+
+/**
+ * Runs the detection on one fixture and checks every card in it.
+ * @param {string} fixture - The fixture name, e.g. 'de'.
+ * @returns {Promise<number>} How many checks failed.
+ */
+async function checkMetaFixture(fixture) {
+    const root = document.getElementById('fixture-root');
+    root.innerHTML = await (await fetch(`fixtures/meta/${fixture}.html`)).text();
+    // Each fixture is a page of its own: labels seen in one mustn't switch off the structural fallback for the next
+    hasFoundFacebookDetailLabels = false;
+
+    findAndProcessFacebookAds([root]);
+    await flushPendingFacebookSaveButtons();
+
+    let failures = 0;
+    root.querySelectorAll('[data-fixture-card]').forEach((card, index) => {
+        // The detection takes the nearest ancestor of the details button that holds the ID as the card,
+        // which may be the fixture card itself or part of it; everything below is read from that element.
+        const detectedCard = card.classList.contains(FB_PROCESSED_MARKER_CLASS)
+            ? card
+            : card.querySelector('.' + FB_PROCESSED_MARKER_CLASS);
+        const detailsButton = card.querySelector('[data-fixture-details-button]');
+        const wrapper = detailsButton.parentElement;
+        const hasSaveButton = wrapper.classList.contains(BUTTON_WRAPPER_CLASS) && !!wrapper.querySelector('[data-ad-saver-state]');
+        const checks = [
+            ['Card found', 'yes', detectedCard ? 'yes' : 'no'],
+            ['Library ID', card.dataset.expectedLibraryId, (detectedCard && extractFacebookLibraryId(detectedCard)) || ''],
+            ['Save button next to details button', 'yes', hasSaveButton ? 'yes' : 'no'],
+            ['Start date', card.dataset.expectedStartedDate, (detectedCard && extractFacebookAdMetadata(detectedCard).startedRunningOnDate) || '']
+        ];
+        for (const [check, expected, actual] of checks) {
+            if (!addResult(fixture, index, check, expected, actual)) failures++;
+        }
+    });
+    root.textContent = '';
+    return failures;
+}
+
+/**
+ * Checks that a card whose Library ID renders after its details label still gets a save button,
+ * when only the newly added ID line is scanned, as the page observer does.
+ * @returns {Promise<number>} How many checks failed.
+ */
+async function checkLateLibraryId() {
+    const root = document.getElementById('fixture-root');
+    root.innerHTML = await (await fetch('fixtures/meta/en.html')).text();
+    hasFoundFacebookDetailLabels = false;
+
+    // A lone card: with its neighbours present, the climb from the label would reach one of their IDs
+    const card = root.querySelector('[data-fixture-card]');
+    root.replaceChildren(card);
+    const idLine = Array.from(card.querySelectorAll('span'))
+        .find(span => span.textContent.includes(card.dataset.expectedLibraryId)).parentElement;
+    const idLinePlaceholder = document.createComment('Library ID');
+    idLine.replaceWith(idLinePlaceholder);
+    findAndProcessFacebookAds([root]);
+    await flushPendingFacebookSaveButtons();
+
+    idLinePlaceholder.replaceWith(idLine);
+    findAndProcessFacebookAds([idLine]);
+    await flushPendingFacebookSaveButtons();
+
+    const wrapper = card.querySelector('[data-fixture-details-button]').parentElement;
+    const hasSaveButton = wrapper.classList.contains(BUTTON_WRAPPER_CLASS) && !!wrapper.querySelector('[data-ad-saver-state]');
+    const passed = addResult('en (Library ID rendered late)', 0, 'Save button next to details button', 'yes', hasSaveButton ? 'yes' : 'no');
+    root.textContent = '';
+    return passed ? 0 : 1;
+}
+
+// Runs every fixture and reports the outcome in the summary and the page title.
+async function runMetaDetectionChecks() {
+    if (!await loadSelectorConfig()) {
+        document.getElementById('summary').textContent = 'Could not load selectors.json.';
+        document.title = 'FAIL';
+        return;
+    }
+    let failures = 0;
+    for (const fixture of META_FIXTURES) {
+        failures += await checkMetaFixture(fixture);
+    }
+    failures += await checkLateLibraryId();
+    const summary = failures === 0 ? `All checks passed on ${META_FIXTURES.length} fixtures.` : `${failures} checks failed.`;
+    document.getElementById('summary').textContent = summary;
+    document.getElementById('summary').className = failures === 0 ? 'pass' : 'fail';
+    document.title = failures === 0 ? 'PASS' : `FAIL (${failures})`;
+    console.log(`[Ad Saver] Meta detection check: ${summary}`);
+}
+
+runMetaDetectionChecks();